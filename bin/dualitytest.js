@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+// bin/dualitytest.js - Command-line runner for DualityTest tests and flows
+
+import { parseArgs } from 'util';
+import { existsSync, readFileSync } from 'fs';
+import { resolve, extname, relative } from 'path';
+import { pathToFileURL } from 'url';
+import { execSync } from 'child_process';
+
+const HELP = `
+Usage: dualitytest <command> [options]
+
+Commands:
+  run <files...>    Run test files (.js/.mjs) and flows (.yaml/.yml)
+  doctor            Check the machine setup for web and mobile testing
+
+Options:
+  -c, --config <path>     Config file (default: dualitytest.config.json or dualitytest.config.js)
+  -p, --platform <name>   web | android | ios
+  -a, --app-id <id>       URL, package name, bundle ID or app path
+  -d, --device <name>     Device or simulator name
+      --serial <serial>   Device serial / UDID
+  -b, --browser <name>    chromium | webkit | firefox
+      --headless          Run the browser headless
+      --hostname <host>   Appium hostname (default: localhost)
+      --port <port>       Appium port (default: 4723)
+  -e, --env KEY=VALUE     Environment variable for tests and flows (repeatable)
+  -u, --update-screenshots
+                          Rewrite toMatchScreenshot baselines instead of failing
+      --log-level <level> debug | info | warn | error (default: warn)
+      --log-file <path>   Also write log entries as JSON lines to this file
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+A test file exports a default async function that receives the launched app:
+
+  export default async (app) => {
+    await app.tapOn(app.getByText('Login')).toBeVisible(app.getByText('Welcome'));
+  };
+`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  platform: { type: 'string', short: 'p' },
+  'app-id': { type: 'string', short: 'a' },
+  device: { type: 'string', short: 'd' },
+  serial: { type: 'string' },
+  browser: { type: 'string', short: 'b' },
+  headless: { type: 'boolean' },
+  hostname: { type: 'string' },
+  port: { type: 'string' },
+  env: { type: 'string', short: 'e', multiple: true },
+  'update-screenshots': { type: 'boolean', short: 'u' },
+  'log-level': { type: 'string' },
+  'log-file': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+const FLOW_EXTENSIONS = ['.yaml', '.yml'];
+
+async function loadConfig(configPath) {
+  const candidates = configPath
+    ? [configPath]
+    : ['dualitytest.config.json', 'dualitytest.config.js', 'dualitytest.config.mjs'];
+
+  for (const candidate of candidates) {
+    const fullPath = resolve(candidate);
+    if (!existsSync(fullPath)) continue;
+
+    if (extname(fullPath) === '.json') {
+      return JSON.parse(readFileSync(fullPath, 'utf8'));
+    }
+    const module = await import(pathToFileURL(fullPath).href);
+    return module.default ?? {};
+  }
+
+  if (configPath) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+  return {};
+}
+
+function parseEnv(pairs = []) {
+  const env = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid --env value "${pair}". Use KEY=VALUE.`);
+    }
+    env[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+  return env;
+}
+
+// Flags override the config file
+function buildSettings(values, config) {
+  const launch = { ...config.launch };
+  if (values.device) launch.deviceName = values.device;
+  if (values.serial) launch.deviceSerial = values.serial;
+  if (values.browser) launch.browser = values.browser;
+  if (values.headless !== undefined) launch.headless = values.headless;
+  if (values.hostname) launch.hostname = values.hostname;
+  if (values.port) launch.port = Number(values.port);
+
+  return {
+    platform: values.platform || config.platform || 'web',
+    appId: values['app-id'] || config.appId,
+    env: { ...config.env, ...parseEnv(values.env) },
+    logLevel: values['log-level'] || config.logLevel || 'warn',
+    logFile: values['log-file'] || config.logFile,
+    screenshotsDir: config.screenshotsDir,
+    updateScreenshots: values['update-screenshots'] ?? config.updateScreenshots,
+    launch
+  };
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function printStep(step, indent = 1) {
+  const icons = { passed: '✓', failed: '✗', skipped: '-', warned: '!' };
+  const padding = '  '.repeat(indent);
+  console.log(`${padding}${icons[step.status] || '?'} ${step.description} (${formatDuration(step.duration)})`);
+  if (step.status === 'failed' && step.error) {
+    const message = step.error.message ?? step.error;
+    console.log(`${padding}    ${String(message).split('\n')[0]}`);
+    for (const [name, path] of Object.entries(step.artifacts ?? step.error.artifacts ?? {})) {
+      console.log(`${padding}    ${name}: ${relative(process.cwd(), path)}`);
+    }
+  }
+}
+
+async function runFile(DualityTest, FlowRunner, file, settings) {
+  const app = new DualityTest({
+    platform: settings.platform,
+    appId: settings.appId,
+    env: settings.env,
+    logLevel: settings.logLevel,
+    logSinks: settings.logSinks,
+    screenshotsDir: settings.screenshotsDir,
+    updateScreenshots: settings.updateScreenshots,
+    testName: relative(process.cwd(), file).replace(/\.[^.]+$/, '')
+  });
+  const startTime = Date.now();
+  const result = { file, passed: false, steps: 0, failedSteps: 0, duration: 0, error: null };
+  let stopListening = null;
+
+  console.log(`\n▶ ${relative(process.cwd(), file) || file} [${settings.platform}]`);
+
+  try {
+    if (FLOW_EXTENSIONS.includes(extname(file).toLowerCase())) {
+      const runner = new FlowRunner(app, {
+        launchOptions: settings.launch,
+        onStep: step => printStep(step, step.depth + 1)
+      });
+      // The header's appId (package, bundle ID or URL) applies unless --app-id was given
+      const header = await runner.readHeader(file);
+      if (header.appId && !app.appId) {
+        app.appId = header.appId;
+      }
+      await app.launch(settings.launch);
+      const report = await runner.run(file);
+      result.steps = report.steps.length;
+      result.failedSteps = report.steps.filter(step => step.status === 'failed').length;
+      result.error = report.error;
+    } else {
+      const module = await import(pathToFileURL(file).href);
+      if (typeof module.default !== 'function') {
+        throw new Error('Test files must export a default async function (app) => { ... }');
+      }
+
+      stopListening = app.onStep(step => {
+        result.steps++;
+        if (step.status === 'failed') result.failedSteps++;
+        const target = step.selector ? `'${step.selector}'` : '';
+        printStep({ ...step, description: `${step.method}(${target})` });
+      });
+
+      await app.launch(settings.launch);
+      await module.default(app, { env: app.env });
+    }
+  } catch (error) {
+    result.error = error;
+  } finally {
+    stopListening?.();
+    await app.close();
+  }
+
+  const healings = app.getHealingReport();
+  if (healings.length > 0) {
+    console.log(`  ! ${healings.length} selector(s) healed by a fallback${app.healingReport ? ` (see ${app.healingReport})` : ''}`);
+  }
+
+  result.passed = !result.error;
+  result.duration = Date.now() - startTime;
+  if (result.error && result.failedSteps === 0) {
+    console.log(`  ✗ ${result.error.message.split('\n')[0]}`);
+  }
+  return result;
+}
+
+async function runCommand(files, settings) {
+  if (files.length === 0) {
+    throw new Error('No test files or flows given. Usage: dualitytest run <files...>');
+  }
+
+  const { default: DualityTest, FlowRunner, ConsoleSink, JsonLinesSink } = await import('../dualitytest.js');
+  // One file for the whole run; entries carry testName to tell the files apart
+  const logSinks = settings.logFile ? [new ConsoleSink(), new JsonLinesSink(settings.logFile)] : undefined;
+  const results = [];
+  for (const file of files) {
+    results.push(await runFile(DualityTest, FlowRunner, resolve(file), { ...settings, logSinks }));
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  const failed = results.length - passed;
+  const steps = results.reduce((total, result) => total + result.steps, 0);
+  const duration = results.reduce((total, result) => total + result.duration, 0);
+
+  console.log('\n' + '='.repeat(60));
+  for (const result of results) {
+    console.log(`${result.passed ? '✓' : '✗'} ${relative(process.cwd(), result.file)} (${formatDuration(result.duration)})`);
+  }
+  console.log(`\n${passed} passed, ${failed} failed, ${steps} steps (${formatDuration(duration)})`);
+
+  return failed === 0;
+}
+
+async function doctorCommand(settings) {
+  const checks = [];
+  const check = (name, status, detail = '') => {
+    checks.push({ name, status, detail });
+    const icons = { ok: '✓', warn: '!', fail: '✗' };
+    console.log(`${icons[status]} ${name}${detail ? `: ${detail}` : ''}`);
+  };
+
+  console.log('DualityTest doctor\n');
+
+  const nodeMajor = Number(process.versions.node.split('.')[0]);
+  check('Node.js', nodeMajor >= 16 ? 'ok' : 'fail', `v${process.versions.node}${nodeMajor >= 16 ? '' : ' (v16 or higher required)'}`);
+
+  let DualityTest;
+  try {
+    ({ default: DualityTest } = await import('../dualitytest.js'));
+    check('DualityTest dependencies', 'ok', 'playwright, @playwright/test and webdriverio load');
+  } catch (error) {
+    check('DualityTest dependencies', 'fail', `${error.message} (run npm install)`);
+  }
+
+  try {
+    const { chromium } = await import('playwright');
+    const executable = chromium.executablePath();
+    check('Playwright browsers', existsSync(executable) ? 'ok' : 'warn',
+      existsSync(executable) ? executable : 'Chromium not downloaded (run npx playwright install)');
+  } catch (error) {
+    check('Playwright browsers', 'fail', error.message);
+  }
+
+  if (DualityTest) {
+    const app = new DualityTest({ platform: 'android', enableLogging: false });
+    const androidHome = app._detectAndroidHome();
+    const envConfigured = Boolean(process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT);
+
+    if (androidHome && envConfigured) {
+      check('Android SDK', 'ok', androidHome);
+    } else if (androidHome) {
+      check('Android SDK', 'warn', `found at ${androidHome} but ANDROID_HOME is not set`);
+      console.log(app._getAndroidHomeError());
+    } else {
+      check('Android SDK', 'warn', 'not found (only needed for Android)');
+    }
+
+    const adbPath = app._findAdb();
+    if (!adbPath) {
+      check('adb', 'warn', 'not found (only needed for Android)');
+    } else {
+      try {
+        const output = execSync(`"${adbPath}" devices`, { encoding: 'utf8', timeout: 10000 });
+        const devices = output.split('\n').slice(1)
+          .map(line => line.trim().split(/\s+/))
+          .filter(([serial, state]) => serial && state === 'device')
+          .map(([serial]) => serial);
+        check('adb', 'ok', adbPath);
+        check('Android devices', devices.length > 0 ? 'ok' : 'warn',
+          devices.length > 0 ? devices.join(', ') : 'no device or emulator connected');
+      } catch (error) {
+        check('adb', 'fail', `${adbPath} devices failed: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  if (process.platform === 'darwin') {
+    try {
+      const version = execSync('xcodebuild -version', { encoding: 'utf8', timeout: 10000 }).split('\n')[0];
+      check('Xcode', 'ok', version);
+    } catch (error) {
+      check('Xcode', 'warn', 'not found (only needed for iOS)');
+    }
+  }
+
+  const hostname = settings.launch.hostname || 'localhost';
+  const port = settings.launch.port || 4723;
+  try {
+    const response = await fetch(`http://${hostname}:${port}/status`, { signal: AbortSignal.timeout(3000) });
+    check('Appium server', response.ok ? 'ok' : 'warn', `${hostname}:${port} responded ${response.status}`);
+  } catch (error) {
+    check('Appium server', 'warn', `not reachable at ${hostname}:${port} (start it with: appium)`);
+  }
+
+  const failed = checks.filter(item => item.status === 'fail').length;
+  const warned = checks.filter(item => item.status === 'warn').length;
+  console.log(`\n${checks.length - failed - warned} ok, ${warned} warnings, ${failed} failures`);
+  return failed === 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  if (values.version) {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    console.log(pkg.version);
+    return true;
+  }
+  if (values.help || positionals.length === 0) {
+    console.log(HELP);
+    return true;
+  }
+
+  const config = await loadConfig(values.config);
+  const settings = buildSettings(values, config);
+
+  // "dualitytest file.yaml" is shorthand for "dualitytest run file.yaml"
+  const [command, ...rest] = positionals;
+  if (command === 'doctor') {
+    return await doctorCommand(settings);
+  }
+  if (command === 'run') {
+    return await runCommand(rest.length > 0 ? rest : config.tests || [], settings);
+  }
+  return await runCommand(positionals, settings);
+}
+
+main(process.argv.slice(2))
+  .then(ok => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -4,24 +4,185 @@
 import { chromium, webkit, firefox } from 'playwright';
 import { expect } from '@playwright/test';
 import { remote } from 'webdriverio';
-import { existsSync } from 'fs';
-import { homedir } from 'os';
-import { join, extname } from 'path';
+import { existsSync, appendFileSync, mkdirSync } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { join, extname, dirname, basename, resolve } from 'path';
 import { execSync } from 'child_process';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { writeTraceArchive } from './trace-archive.js';
+import { decodePng, encodePng, cropImage, paintMasks, compareImages } from './visual-compare.js';
+
+// Tracks the step currently running so nested calls execute inline instead of queuing
+const stepContext = new AsyncLocalStorage();
+
+// Original async implementations of the chainable DualityTest methods
+const actionImplementations = new Map();
+
+// Adds text to an error's message and to the copy of the message at the top of its stack
+function appendErrorMessage(error, text) {
+  const stack = error.stack;
+  const original = error.message;
+  error.message += text;
+  if (typeof stack === 'string') {
+    error.stack = stack.replace(original, error.message);
+  }
+}
+
+const SECRET_MASK = '***';
+// How long a fill waits to inspect its web field before treating it as not a password field
+const PASSWORD_CHECK_TIMEOUT = 250;
+
+// A value that is typed as is but shows up as *** when logged, serialized or printed
+class Secret {
+  constructor(value) {
+    Object.defineProperty(this, '_value', { value: String(value) });
+  }
+
+  reveal() {
+    return this._value;
+  }
+
+  toString() {
+    return SECRET_MASK;
+  }
+
+  toJSON() {
+    return SECRET_MASK;
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `Secret(${SECRET_MASK})`;
+  }
+}
+
+function secret(value) {
+  return value instanceof Secret ? value : new Secret(value);
+}
+
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+// Log module of a step, for per-module log levels (first match wins; other steps are 'actions')
+const LOG_MODULES = [
+  ['launch', /^(launch|close|stopApp|clearState|clearKeychain)$/],
+  ['waits', /^(waitFor|waitUntil|extendedWaitUntil)/],
+  ['assertions', /^(to[A-Z]|expect\.)/],
+  ['flows', /^runFlow$/]
+];
+
+function logModuleOf(method) {
+  if (!method) return 'core';
+  return LOG_MODULES.find(([, pattern]) => pattern.test(method))?.[0] ?? 'actions';
+}
+
+// JSON.stringify that survives errors, regexes and circular references
+function serializeLogData(data) {
+  // Only the objects on the current path count as cycles; shared references are written out again
+  const ancestors = new Set();
+  const walk = value => {
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    if (value instanceof RegExp) return String(value);
+    if (typeof value?.toJSON === 'function') return value.toJSON();
+    if (typeof value !== 'object' || value === null) return value;
+    if (ancestors.has(value)) return '[Circular]';
+    ancestors.add(value);
+    const copy = Array.isArray(value)
+      ? value.map(walk)
+      : Object.fromEntries(Object.entries(value).map(([key, child]) => [key, walk(child)]));
+    ancestors.delete(value);
+    return copy;
+  };
+  return JSON.parse(JSON.stringify(walk(data ?? null)));
+}
+
+// Prints entries to the console (the default sink)
+class ConsoleSink {
+  write(entry) {
+    const step = entry.step ? ` [#${entry.step.id} ${entry.step.method}]` : '';
+    console[entry.level](`[${entry.timestamp}] [${entry.level.toUpperCase()}] [${entry.module}]${step} ${entry.message}`, entry.data ?? '');
+  }
+}
+
+// Appends one JSON object per line, for log tooling
+class JsonLinesSink {
+  constructor(path) {
+    this.path = path;
+    mkdirSync(dirname(resolve(path)), { recursive: true });
+  }
+
+  write(entry) {
+    appendFileSync(this.path, `${JSON.stringify(entry)}\n`);
+  }
+}
+
+// Keeps entries in memory, for reporters that attach logs to a test
+class MemorySink {
+  constructor(options = {}) {
+    this.limit = options.limit ?? Infinity;
+    this.entries = [];
+  }
 
-// Centralized logger
+  write(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+// Centralized logger: builds structured entries and hands them to every sink
 class Logger {
   constructor(config = {}) {
     this.enabled = config.enableLogging ?? true;
-    this.level = config.logLevel ?? 'info'; // 'debug', 'info', 'warn', 'error'
+    // 'debug', 'info', 'warn', 'error', or per module: { default: 'info', waits: 'debug' }
+    const levels = typeof config.logLevel === 'object' ? config.logLevel : { default: config.logLevel };
+    this.levels = { ...levels, default: levels.default ?? 'info' };
+    this.level = this.levels.default;
+    this.sinks = [...(config.sinks ?? [new ConsoleSink()])];
+    // Returns { sessionId, platform, testName, step } for the entry being written
+    this.context = config.context ?? (() => ({}));
+    // Masks secret values in the finished entry
+    this.redact = config.redact ?? (entry => entry);
+  }
+
+  levelFor(module) {
+    return this.levels[module] ?? this.levels.default;
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+    return () => {
+      this.sinks = this.sinks.filter(s => s !== sink);
+    };
   }
 
   log(level, message, data = null) {
     if (!this.enabled) return;
-    const levels = { debug: 0, info: 1, warn: 2, error: 3 };
-    if (levels[level] >= levels[this.level]) {
-      const timestamp = new Date().toISOString();
-      console[level](`[${timestamp}] [${level.toUpperCase()}] ${message}`, data || '');
+    const { step, ...context } = this.context();
+    const module = logModuleOf(step?.method);
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.levelFor(module)]) return;
+
+    const entry = this.redact({
+      timestamp: new Date().toISOString(),
+      level,
+      module,
+      message,
+      ...context,
+      step: step ? { id: step.id, index: step.index, total: step.total, method: step.method, selector: step.selector } : null,
+      duration: step ? Date.now() - step.startTime : null,
+      data: data == null ? null : serializeLogData(data)
+    });
+
+    for (const sink of this.sinks) {
+      try {
+        typeof sink === 'function' ? sink(entry) : sink.write(entry);
+      } catch (error) {
+        console.error(`[DualityTest] Log sink failed: ${error.message}`);
+      }
     }
   }
 
@@ -31,23 +192,555 @@ class Logger {
   error(msg, data) { this.log('error', msg, data); }
 }
 
+// Builds Appium selector strings from user text.
+// Every value is escaped for its target syntax: UiSelector (Java string literals),
+// iOS predicate strings, iOS class chains and XPath 1.0.
+class SelectorBuilder {
+  // Normalizes a string/RegExp plus { exact, ignoreCase } into one matching mode
+  static matcher(value, options = {}) {
+    if (value instanceof RegExp) {
+      return { mode: 'regex', text: value.source, ignoreCase: options.ignoreCase || value.flags.includes('i') };
+    }
+    return { mode: options.exact ? 'exact' : 'contains', text: String(value), ignoreCase: options.ignoreCase ?? false };
+  }
+
+  static escapeJavaString(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t');
+  }
+
+  static escapePredicateString(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+
+  // XPath 1.0 has no escape sequences, so quotes are split with concat()
+  static xpathLiteral(value) {
+    const text = String(value);
+    if (!text.includes('"')) return `"${text}"`;
+    if (!text.includes("'")) return `'${text}'`;
+    const parts = text.split('"').map(part => `"${part}"`);
+    return `concat(${parts.join(`, '"', `)})`;
+  }
+
+  // Java/ICU regex that matches the whole attribute value (UiSelector *Matches and predicate MATCHES)
+  static fullMatchRegex(matcher) {
+    const quote = text => `\\Q${text.replace(/\\E/g, '\\E\\\\E\\Q')}\\E`;
+    const flags = `(?s${matcher.ignoreCase ? 'i' : ''})`;
+    if (matcher.mode === 'exact') return `${flags}${quote(matcher.text)}`;
+    if (matcher.mode === 'contains') return `${flags}.*${quote(matcher.text)}.*`;
+    return `${flags}.*(?:${matcher.text}).*`;
+  }
+
+  // UiSelector method for an attribute: uiSelector('text', 'OK') -> 'text("OK")'
+  static uiSelector(attribute, value, options = {}) {
+    const matcher = SelectorBuilder.matcher(value, options);
+    const literal = text => `"${SelectorBuilder.escapeJavaString(text)}"`;
+    const hasContains = attribute === 'text' || attribute === 'description';
+
+    if (matcher.mode === 'exact' && !matcher.ignoreCase) {
+      return `${attribute}(${literal(matcher.text)})`;
+    }
+    if (matcher.mode === 'contains' && !matcher.ignoreCase && hasContains) {
+      return `${attribute}Contains(${literal(matcher.text)})`;
+    }
+    return `${attribute}Matches(${literal(SelectorBuilder.fullMatchRegex(matcher))})`;
+  }
+
+  // iOS predicate comparing any of the attributes: (label == "OK" OR name == "OK")
+  static predicate(attributes, value, options = {}) {
+    const matcher = SelectorBuilder.matcher(value, options);
+    const modifier = matcher.ignoreCase ? '[c]' : '';
+    let operator;
+    let literal;
+    if (matcher.mode === 'exact') {
+      operator = `==${modifier}`;
+      literal = matcher.text;
+    } else if (matcher.mode === 'contains') {
+      operator = `CONTAINS${modifier}`;
+      literal = matcher.text;
+    } else {
+      operator = 'MATCHES';
+      literal = SelectorBuilder.fullMatchRegex(matcher);
+    }
+
+    const conditions = attributes.map(attribute => `${attribute} ${operator} "${SelectorBuilder.escapePredicateString(literal)}"`);
+    return conditions.length > 1 ? `(${conditions.join(' OR ')})` : conditions[0];
+  }
+
+  // Class chain predicates sit inside backticks; a literal backtick is written twice
+  static classChain(type, predicate = null) {
+    if (!predicate) return `**/${type}`;
+    return `**/${type}[\`${predicate.replace(/`/g, '``')}\`]`;
+  }
+
+  // XPath 1.0 condition comparing any of the attributes: (@text="OK" or @content-desc="OK")
+  static xpath(attributes, value, options = {}) {
+    return SelectorBuilder.xpathNodes(attributes.map(attribute => `@${attribute}`), value, options);
+  }
+
+  // Same as xpath() for any string expressions: xpathNodes(['normalize-space(.)'], 'OK')
+  static xpathNodes(nodes, value, options = {}) {
+    const matcher = SelectorBuilder.matcher(value, options);
+    if (matcher.mode === 'regex') {
+      throw new Error('Regular expressions are not supported in XPath 1.0 selectors');
+    }
+
+    const upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const lower = 'abcdefghijklmnopqrstuvwxyz';
+    const text = matcher.ignoreCase ? matcher.text.toLowerCase() : matcher.text;
+    const literal = SelectorBuilder.xpathLiteral(text);
+
+    const conditions = nodes.map(expression => {
+      const node = matcher.ignoreCase ? `translate(${expression}, '${upper}', '${lower}')` : expression;
+      return matcher.mode === 'exact' ? `${node}=${literal}` : `contains(${node}, ${literal})`;
+    });
+    return conditions.length > 1 ? `(${conditions.join(' or ')})` : conditions[0];
+  }
+
+  // Quoted CSS attribute value: [data-testid="..."]
+  static cssString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ')}"`;
+  }
+}
+
+// Web-style attribute names mapped to Appium element attributes
+const MOBILE_ATTRIBUTES = {
+  android: {
+    'aria-label': 'content-desc',
+    'aria-checked': 'checked',
+    'aria-selected': 'selected',
+    'data-testid': 'content-desc',
+    'id': 'resource-id',
+    'value': 'text',
+    'placeholder': 'hint'
+  },
+  ios: {
+    'aria-label': 'label',
+    'aria-checked': 'value',
+    'aria-selected': 'selected',
+    'data-testid': 'name',
+    'id': 'name',
+    'placeholder': 'placeholderValue'
+  }
+};
+
+// ARIA-like roles mapped to native classes.
+// Android entries may add a fallback attribute for custom views (e.g. a clickable ViewGroup as a button).
+const MOBILE_ROLES = {
+  button: {
+    android: { classes: ['android.widget.Button', 'android.widget.ImageButton'], fallback: 'clickable' },
+    ios: { types: ['XCUIElementTypeButton'] }
+  },
+  link: {
+    android: { classes: [], fallback: 'clickable' },
+    ios: { types: ['XCUIElementTypeLink'] }
+  },
+  checkbox: {
+    android: { classes: ['android.widget.CheckBox', 'android.widget.CheckedTextView'], fallback: 'checkable' },
+    ios: { types: ['XCUIElementTypeCheckBox', 'XCUIElementTypeSwitch'] }
+  },
+  switch: {
+    android: {
+      classes: ['android.widget.Switch', 'android.widget.ToggleButton', 'androidx.appcompat.widget.SwitchCompat',
+        'com.google.android.material.switchmaterial.SwitchMaterial', 'com.google.android.material.materialswitch.MaterialSwitch'],
+      fallback: 'checkable'
+    },
+    ios: { types: ['XCUIElementTypeSwitch', 'XCUIElementTypeToggle'] }
+  },
+  radio: {
+    android: { classes: ['android.widget.RadioButton'], fallback: 'checkable' },
+    ios: { types: ['XCUIElementTypeRadioButton'] }
+  },
+  textbox: {
+    android: { classes: ['android.widget.EditText', 'android.widget.AutoCompleteTextView', 'android.widget.MultiAutoCompleteTextView'] },
+    ios: { types: ['XCUIElementTypeTextField', 'XCUIElementTypeSecureTextField', 'XCUIElementTypeTextView'] }
+  },
+  searchbox: {
+    android: { classes: ['android.widget.SearchView', 'androidx.appcompat.widget.SearchView', 'android.widget.EditText'] },
+    ios: { types: ['XCUIElementTypeSearchField'] }
+  },
+  combobox: {
+    android: { classes: ['android.widget.Spinner', 'android.widget.AutoCompleteTextView'] },
+    ios: { types: ['XCUIElementTypePicker', 'XCUIElementTypePickerWheel', 'XCUIElementTypeComboBox'] }
+  },
+  slider: {
+    android: { classes: ['android.widget.SeekBar', 'android.widget.RatingBar'] },
+    ios: { types: ['XCUIElementTypeSlider'] }
+  },
+  progressbar: {
+    android: { classes: ['android.widget.ProgressBar'] },
+    ios: { types: ['XCUIElementTypeProgressIndicator', 'XCUIElementTypeActivityIndicator'] }
+  },
+  img: {
+    android: { classes: ['android.widget.ImageView'] },
+    ios: { types: ['XCUIElementTypeImage', 'XCUIElementTypeIcon'] }
+  },
+  list: {
+    android: { classes: ['android.widget.ListView', 'androidx.recyclerview.widget.RecyclerView', 'android.widget.GridView'] },
+    ios: { types: ['XCUIElementTypeTable', 'XCUIElementTypeCollectionView'] }
+  },
+  listitem: {
+    android: { classes: [] },
+    ios: { types: ['XCUIElementTypeCell'] }
+  },
+  tablist: {
+    android: { classes: ['android.widget.TabWidget', 'com.google.android.material.tabs.TabLayout'] },
+    ios: { types: ['XCUIElementTypeTabBar', 'XCUIElementTypeSegmentedControl'] }
+  },
+  toolbar: {
+    android: { classes: ['android.widget.Toolbar', 'androidx.appcompat.widget.Toolbar'] },
+    ios: { types: ['XCUIElementTypeToolbar', 'XCUIElementTypeNavigationBar'] }
+  },
+  alert: {
+    android: { classes: [] },
+    ios: { types: ['XCUIElementTypeAlert'] }
+  },
+  menuitem: {
+    android: { classes: [] },
+    ios: { types: ['XCUIElementTypeMenuItem'] }
+  },
+  heading: {
+    android: { classes: [] },
+    ios: { types: ['XCUIElementTypeStaticText'], traits: 'Header' }
+  }
+};
+
+// Implicit ARIA roles of HTML elements as XPath conditions on the current node, used inside WebViews.
+// Roles without an HTML equivalent only match an explicit role attribute.
+const DOM_ROLES = {
+  button: "self::button or (self::input and (@type='button' or @type='submit' or @type='reset' or @type='image'))",
+  link: 'self::a[@href] or self::area[@href]',
+  checkbox: "self::input[@type='checkbox']",
+  switch: null,
+  radio: "self::input[@type='radio']",
+  textbox: "self::textarea or (self::input and (not(@type) or @type='text' or @type='email' or @type='tel' or @type='url'))",
+  searchbox: "self::input[@type='search']",
+  combobox: 'self::select',
+  slider: "self::input[@type='range']",
+  progressbar: 'self::progress',
+  img: 'self::img',
+  list: 'self::ul or self::ol',
+  listitem: 'self::li',
+  tablist: null,
+  toolbar: null,
+  alert: null,
+  menuitem: null,
+  heading: 'self::h1 or self::h2 or self::h3 or self::h4 or self::h5 or self::h6'
+};
+MOBILE_ROLES.image = MOBILE_ROLES.img;
+
+// Playwright key names mapped to Android KeyEvent codes
+const ANDROID_KEYCODES = {
+  Enter: 66, Escape: 111, Backspace: 67, Delete: 112, Tab: 61, Space: 62, Insert: 124,
+  ArrowUp: 19, ArrowDown: 20, ArrowLeft: 21, ArrowRight: 22,
+  Home: 122, End: 123, PageUp: 92, PageDown: 93,
+  Shift: 59, Control: 113, Alt: 57, Meta: 117, CapsLock: 115,
+  ' ': 62, ',': 55, '.': 56, '`': 68, '-': 69, '=': 70, '[': 71, ']': 72, '\\': 73,
+  ';': 74, "'": 75, '/': 76, '@': 77, '+': 81, '*': 17, '#': 18
+};
+for (let i = 0; i < 26; i++) ANDROID_KEYCODES[String.fromCharCode(97 + i)] = 29 + i; // KEYCODE_A..Z
+for (let i = 0; i < 10; i++) ANDROID_KEYCODES[String(i)] = 7 + i; // KEYCODE_0..9
+for (let i = 1; i <= 12; i++) ANDROID_KEYCODES[`F${i}`] = 130 + i; // KEYCODE_F1..F12
+
+// KeyEvent META_*_ON | META_*_LEFT_ON
+const ANDROID_METASTATES = { Shift: 0x41, Control: 0x3000, Alt: 0x12, Meta: 0x30000 };
+
+// Keys the iOS software keyboard can type, sent as text
+const IOS_TYPED_KEYS = { Enter: '\n', Backspace: '\b', Tab: '\t', Space: ' ' };
+
+// XCUIKeyboardKey values (hardware keyboard keys, NSEvent function key codes), sent with `mobile: keys`
+const IOS_KEYBOARD_KEYS = {
+  Enter: '\r', Backspace: '\x7f', Tab: '\t', Space: ' ', Escape: '\x1b', Delete: '\uF728',
+  ArrowUp: '\uF700', ArrowDown: '\uF701', ArrowLeft: '\uF702', ArrowRight: '\uF703',
+  Home: '\uF729', End: '\uF72B', PageUp: '\uF72C', PageDown: '\uF72D'
+};
+for (let i = 1; i <= 12; i++) IOS_KEYBOARD_KEYS[`F${i}`] = String.fromCharCode(0xf703 + i);
+
+// XCUIKeyModifierFlags
+const IOS_MODIFIER_FLAGS = { Shift: 1 << 1, Control: 1 << 2, Alt: 1 << 3, Meta: 1 << 4 };
+
+// Appium's queryAppState() values, by index
+const APP_STATES = ['notInstalled', 'notRunning', 'backgroundSuspended', 'background', 'foreground'];
+
+// Points from `from` to `to` in equal steps, so long gestures move smoothly
+function linePath(from, to, steps = 10) {
+  return Array.from({ length: steps + 1 }, (_, i) => ({
+    x: from.x + ((to.x - from.x) * i) / steps,
+    y: from.y + ((to.y - from.y) * i) / steps
+  }));
+}
+
+// Splits a Playwright key like 'Control+Shift+ArrowLeft' or 'Shift++' into modifiers and a key.
+// Named keys are matched case-insensitively, so flows can say 'enter'.
+function parseKey(key, platform) {
+  const parts = String(key).split('+');
+  // A trailing '+' is the plus key itself: 'Shift++' splits into ['Shift', '', '']
+  if (parts.length > 1 && parts[parts.length - 1] === '') {
+    parts.splice(-2, 2, '+');
+  }
+  const names = [...new Set([...Object.keys(ANDROID_KEYCODES), ...Object.keys(IOS_KEYBOARD_KEYS)])];
+  const normalize = part => {
+    if (part === 'ControlOrMeta') return platform === 'ios' ? 'Meta' : 'Control';
+    if (part.length <= 1) return part;
+    return names.find(name => name.toLowerCase() === part.toLowerCase()) ?? part;
+  };
+
+  const [name, ...modifiers] = parts.map(normalize).reverse();
+  for (const modifier of modifiers) {
+    if (!(modifier in ANDROID_METASTATES)) {
+      throw new Error(`Invalid key "${key}": "${modifier}" is not a modifier (Shift, Control, Alt, Meta, ControlOrMeta)`);
+    }
+  }
+  if (!name) {
+    throw new Error(`Invalid key "${key}"`);
+  }
+  return { name, modifiers: modifiers.reverse() };
+}
+
+// Appium strategy prefixes, and the locator type each one gets
+const STRATEGY_PREFIXES = {
+  uiautomator: 'android=',
+  predicate: '-ios predicate string:',
+  classChain: '-ios class chain:'
+};
+
+function mobileSelectorType(selector) {
+  const type = Object.keys(STRATEGY_PREFIXES).find(name => selector.startsWith(STRATEGY_PREFIXES[name]));
+  return type ?? 'xpath';
+}
+
 // Class to represent unified mobile locators
 class MobileLocator {
   constructor(driver, selector, type = 'accessibility', fallbackStrategies = null, index = null) {
     this.driver = driver;
     this.selector = selector;
-    this.type = type; // 'accessibility', 'xpath', 'text', 'id'
+    this.type = type; // 'accessibility', 'xpath', 'uiautomator', 'predicate', 'classChain', 'text', 'id', 'css' (WebView contexts)
     this._element = null;
     this._elementCacheValid = false;
     this.fallbackStrategies = fallbackStrategies; // To try multiple strategies
     this.index = index; // Element index (can be negative, -1 = last)
+    this.app = null; // DualityTest instance that builds scoped sub-locators
+    this.parent = null; // Locator whose elements scope this search
+    this.filters = []; // { hasText, has } filters applied before the index
+    this.alternatives = []; // Locators tried in order when this one finds nothing (see withFallbacks)
+  }
+
+  // ==================== CHAINING ====================
+
+  first() {
+    return this.nth(0);
+  }
+
+  last() {
+    return this.nth(-1);
+  }
+
+  nth(index) {
+    return this._clone({ index });
+  }
+
+  filter(options = {}) {
+    return this._clone({ filters: [...this.filters, { hasText: options.hasText, has: options.has }] });
+  }
+
+  locator(selector) {
+    return this._scoped(app => app.locator(selector));
+  }
+
+  getByText(text, options = {}) {
+    return this._scoped(app => app.getByText(text, options));
+  }
+
+  getByRole(role, options = {}) {
+    return this._scoped(app => app.getByRole(role, options));
+  }
+
+  getByTestId(testId) {
+    return this._scoped(app => app.getByTestId(testId));
+  }
+
+  getByLabel(label, options = {}) {
+    return this._scoped(app => app.getByLabel(label, options));
+  }
+
+  getByPlaceholder(placeholder, options = {}) {
+    return this._scoped(app => app.getByPlaceholder(placeholder, options));
+  }
+
+  getById(id) {
+    return this._scoped(app => app.getById(id));
+  }
+
+  toString() {
+    // The strategy prefix repeats the type, so it is left out
+    const prefix = STRATEGY_PREFIXES[this.type];
+    let description = `${this.type}:${prefix && this.selector.startsWith(prefix) ? this.selector.slice(prefix.length) : this.selector}`;
+    if (this.parent) {
+      description = `${this.parent.toString()} >> ${description}`;
+    }
+    for (const filter of this.filters) {
+      if (filter.hasText !== undefined) description += ` >> hasText=${JSON.stringify(String(filter.hasText))}`;
+      if (filter.has) description += ` >> has=(${filter.has.toString()})`;
+    }
+    if (this.index !== null) {
+      description += ` >> nth=${this.index}`;
+    }
+    if (this.alternatives.length > 0) {
+      description += ` || ${this.alternatives.map(alternative => alternative.toString()).join(' || ')}`;
+    }
+    return description;
+  }
+
+  _clone(overrides = {}) {
+    const locator = new MobileLocator(this.driver, this.selector, this.type, this.fallbackStrategies, this.index);
+    locator.app = this.app;
+    locator.parent = this.parent;
+    locator.filters = this.filters;
+    locator.alternatives = this.alternatives;
+    return Object.assign(locator, overrides);
+  }
+
+  _scoped(build) {
+    if (!this.app) {
+      throw new Error('Scoped locators require a MobileLocator created by DualityTest (e.g. app.getByTestId())');
+    }
+    const child = build(this.app);
+    child.parent = this;
+    return child;
+  }
+
+  _isSimple() {
+    return this.parent === null && this.filters.length === 0 && this.alternatives.length === 0;
   }
 
+  // ==================== RESOLUTION ====================
+
   _invalidateCache() {
     this._element = null;
     this._elementCacheValid = false;
   }
 
+  _strategySelector() {
+    const strategies = {
+      accessibility: `~${this.selector}`,
+      xpath: this.selector,
+      css: this.selector,
+      text: `android=new UiSelector().${SelectorBuilder.uiSelector('text', this.selector, { exact: true })}`,
+      id: this.selector
+    };
+    return strategies[this.type] || this.selector;
+  }
+
+  async _findIn(root) {
+    const scoped = root !== this.driver;
+    const candidates = this.fallbackStrategies && this.fallbackStrategies.length > 0
+      ? this.fallbackStrategies
+      : [this._strategySelector()];
+
+    for (let [position, selector] of candidates.entries()) {
+      // Absolute XPath would escape the parent element
+      if (scoped && selector.startsWith('//')) {
+        selector = `.${selector}`;
+      }
+      try {
+        const elements = await root.$$(selector);
+        if (elements.length > 0) {
+          if (position > 0) {
+            this.app?.logger.debug('Built-in fallback strategy matched', { primary: candidates[0], used: selector });
+          }
+          return Array.from(elements);
+        }
+      } catch (error) {
+        // Continue with next strategy
+        continue;
+      }
+    }
+    return [];
+  }
+
+  async _matchesFilter(element, filter) {
+    if (filter.hasText !== undefined) {
+      const text = await element.getText().catch(() => '');
+      // Like Playwright, a string matches case-insensitively with whitespace normalized
+      const normalize = value => value.replace(/\s+/g, ' ').trim().toLowerCase();
+      const ownMatch = filter.hasText instanceof RegExp
+        ? filter.hasText.test(text)
+        : normalize(text).includes(normalize(String(filter.hasText)));
+      if (!ownMatch) {
+        // Containers rarely report their own text; look for a matching descendant
+        const textLocator = this.app
+          ? this.app.getByText(filter.hasText, filter.hasText instanceof RegExp ? {} : { ignoreCase: true })
+          : null;
+        const matches = textLocator ? await textLocator._findIn(element) : [];
+        if (matches.length === 0) return false;
+      }
+    }
+    if (filter.has) {
+      const matches = await filter.has._findIn(element);
+      if (matches.length === 0) return false;
+    }
+    return true;
+  }
+
+  async _getElements() {
+    let elements = await this._findAll();
+
+    // Fallback chain: the first alternative that finds something wins and is reported
+    if (elements.length === 0 && this.alternatives.length > 0) {
+      for (const alternative of this.alternatives) {
+        elements = await alternative._getElements();
+        if (elements.length > 0) {
+          await this.app?._recordHealing(this._clone({ alternatives: [], filters: [], index: null }), alternative);
+          break;
+        }
+      }
+    }
+
+    for (const filter of this.filters) {
+      const kept = [];
+      for (const element of elements) {
+        if (await this._matchesFilter(element, filter)) {
+          kept.push(element);
+        }
+      }
+      elements = kept;
+    }
+
+    if (this.parent) {
+      // The same child can be reached through nested parents
+      const seen = new Set();
+      elements = elements.filter(element => {
+        const id = element.elementId;
+        if (!id || !seen.has(id)) {
+          seen.add(id);
+          return true;
+        }
+        return false;
+      });
+    }
+
+    return elements;
+  }
+
+  async _findAll() {
+    let roots = [this.driver];
+    if (this.parent) {
+      roots = this.parent.index !== null
+        ? [await this.parent._getElement()]
+        : await this.parent._getElements();
+    }
+
+    const elements = [];
+    for (const root of roots) {
+      elements.push(...await this._findIn(root));
+    }
+    return elements;
+  }
+
   async _getElement() {
     // Always fetch fresh element if index is specified (indexed elements can change)
     if (this._element && this.index === null && this._elementCacheValid) {
@@ -62,20 +755,18 @@ class MobileLocator {
       }
     }
 
-    const strategies = {
-      accessibility: `~${this.selector}`,
-      xpath: this.selector,
-      text: `android=new UiSelector().text("${this.selector}")`,
-      id: this.selector
-    };
-
-    // If there's an index (including negative), get all elements
-    if (this.index !== null) {
-      const selector = strategies[this.type] || this.selector;
-      const elements = await this.driver.$$(selector);
+    // Scoped, filtered or indexed locators resolve the full match list
+    if (!this._isSimple() || this.index !== null) {
+      const elements = await this._getElements();
 
       if (elements.length === 0) {
-        throw new Error(`No elements found for selector: ${this.selector}`);
+        throw new Error(`No elements found for selector: ${this.toString()}`);
+      }
+
+      if (this.index === null) {
+        this._element = elements[0];
+        this._elementCacheValid = true;
+        return this._element;
       }
 
       // Calculate real index (if negative, count from the end)
@@ -110,7 +801,7 @@ class MobileLocator {
     }
 
     // Try main strategy
-    this._element = await this.driver.$(strategies[this.type]);
+    this._element = await this.driver.$(this._strategySelector());
     this._elementCacheValid = true;
     return this._element;
   }
@@ -124,7 +815,7 @@ class MobileLocator {
   async fill(text) {
     const element = await this._getElement();
     await element.waitForDisplayed({ timeout: 10000 });
-    await element.setValue(text);
+    await element.setValue(text instanceof Secret ? text.reveal() : text);
   }
 
   async clear() {
@@ -171,14 +862,10 @@ class MobileLocator {
 
   async count() {
     try {
-      const strategies = {
-        accessibility: `~${this.selector}`,
-        xpath: this.selector,
-        text: `android=new UiSelector().text("${this.selector}")`,
-        id: this.selector
-      };
-      const selector = strategies[this.type] || this.selector;
-      const elements = await this.driver.$$(selector);
+      if (!this._isSimple()) {
+        return (await this._getElements()).length;
+      }
+      const elements = await this.driver.$$(this._strategySelector());
       return elements.length;
     } catch (error) {
       // Log error for debugging but return 0 for graceful handling
@@ -188,6 +875,51 @@ class MobileLocator {
   }
 }
 
+// Deferred, thenable queue of DualityTest actions.
+// Every chainable call adds a step; awaiting the chain runs the steps in order.
+class ActionChain {
+  constructor(app) {
+    this.app = app;
+    this._steps = [];
+    this._promise = null;
+  }
+
+  _enqueue(method, args) {
+    if (this._promise) {
+      throw new Error(`Cannot add "${method}" to a chain that is already running. Start a new chain from the app instance.`);
+    }
+    this._steps.push({ method, args });
+    return this;
+  }
+
+  async _run() {
+    let result = this.app;
+    for (let i = 0; i < this._steps.length; i++) {
+      const { method, args } = this._steps[i];
+      result = await this.app._runStep(
+        { method, args, index: i + 1, total: this._steps.length },
+        () => actionImplementations.get(method).apply(this.app, args)
+      );
+    }
+    return result;
+  }
+
+  then(onFulfilled, onRejected) {
+    if (!this._promise) {
+      this._promise = this._run();
+    }
+    return this._promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  finally(onFinally) {
+    return this.then().finally(onFinally);
+  }
+}
+
 class DualityTest {
   constructor(config = {}) {
     const validPlatforms = ['web', 'android', 'ios'];
@@ -200,22 +932,71 @@ class DualityTest {
     }
 
     this.config = config;
+    this.platform = platform;
+    this.sessionId = config.sessionId ?? randomUUID();
+    this.sessionName = config.sessionName ?? null; // Set by SessionManager
+    this.testName = config.testName ?? null;
     this.logger = new Logger({
       enableLogging: config.enableLogging,
-      logLevel: config.logLevel || 'info'
+      logLevel: config.logLevel || 'info',
+      sinks: config.logSinks,
+      context: () => this._logContext(),
+      redact: entry => this._redact(entry)
     });
-    this.platform = platform;
 
     // Web properties
     this.browser = null;
     this.page = null;
     this.context = null;
+    this._coverPage = null; // Tab opened by backgroundApp() to hide the page
 
     // Mobile properties
     this.driver = null;
+    this._webView = null; // WebView context selected by switchToWebView(), null in the native context
 
     this.appId = config.appId;
-    this.env = config.env || {};
+    // Values scrubbed from logs, traces, failure artifacts and errors, besides secret() ones
+    this.secrets = { env: [], detectPasswords: true, ...config.secrets };
+    this._secrets = new Set(); // secret() and secrets.env values, masked whatever their length
+    this._detectedSecrets = new Set(); // Typed into password fields
+    this._passwordFields = new Map(); // Selector -> _isPasswordField() answer
+    this.env = {};
+    for (const [key, value] of Object.entries(config.env || {})) {
+      this._storeEnv(key, value);
+    }
+
+    // How long mobile assertions keep retrying (Playwright's expect default is 5s)
+    this.expectTimeout = config.expectTimeout ?? 5000;
+
+    // Listeners notified after each top-level step (see onStep)
+    this._stepListeners = [];
+
+    // Files saved when a step fails (see _captureFailureArtifacts)
+    this.artifacts = config.artifacts === false
+      ? null
+      : { dir: join('test-results', 'dualitytest'), lastSteps: 20, ...config.artifacts };
+
+    // Fallback chains that rescued a broken selector (see withFallbacks)
+    this.healingReport = config.healingReport
+      ?? join(this.artifacts?.dir ?? join('test-results', 'dualitytest'), 'dualitytest-healing.json');
+    this._healings = new Map();
+    this._sessionStart = new Date().toISOString().replace(/[:.]/g, '-');
+    this._failureCount = 0;
+    this._stepCount = 0;
+    this._stepHistory = [];
+    this._consoleMessages = [];
+
+    // Baselines for toMatchScreenshot; update mode rewrites them instead of failing
+    this.screenshotsDir = config.screenshotsDir ?? '__screenshots__';
+    this.updateScreenshots = config.updateScreenshots ?? ['1', 'true'].includes(process.env.DUALITYTEST_UPDATE_SCREENSHOTS);
+
+    // Active trace started by startTracing()
+    this._trace = null;
+
+    // Active screen recording started by startRecording()
+    this._recording = null;
+    // Web videos stopped by stopRecording(), written by close() once their pages are closed
+    this._pendingVideos = [];
   }
 
   // ==================== INITIALIZATION ====================
@@ -253,11 +1034,15 @@ class DualityTest {
       viewport: options.viewport || { width: 390, height: 844 },
       userAgent: options.userAgent,
       geolocation: options.geolocation,
-      permissions: options.permissions
+      permissions: options.permissions,
+      // Records the whole session without the context swap of startRecording()
+      recordVideo: options.recordVideo
     };
 
+    this._contextOptions = contextOptions;
     this.context = await this.browser.newContext(contextOptions);
     this.page = await this.context.newPage();
+    this._watchPage(this.page);
 
     if (options.clearState) {
       await this.clearState();
@@ -276,6 +1061,15 @@ class DualityTest {
       throw new Error('appId is required for mobile platform');
     }
 
+    // A custom driver backend (e.g. FakeDriver) replaces the Appium session
+    if (this.config.driver) {
+      this.driver = typeof this.config.driver === 'function'
+        ? await this.config.driver(this._buildCapabilities(options))
+        : this.config.driver;
+      this.logger.info('Using custom driver backend', { sessionId: this.driver.sessionId });
+      return this;
+    }
+
     // For Android, verify ANDROID_HOME before attempting to connect
     if (this.platform === 'android') {
       const androidHome = this._detectAndroidHome();
@@ -298,7 +1092,7 @@ class DualityTest {
 
     try {
       // Configure webdriverio log level based on logger level
-      const wdioLogLevel = this.logger.level === 'debug' ? 'warn' : 'error';
+      const wdioLogLevel = this.logger.levelFor('launch') === 'debug' ? 'warn' : 'error';
 
       // Add options to reduce Appium logs
       const finalCapabilities = {
@@ -442,27 +1236,30 @@ class DualityTest {
 
   getByTestId(testId) {
     this._ensureInitialized();
+    if (this._inWebView()) {
+      return this._webViewLocator('testId', testId);
+    }
     if (this._isMobile()) {
-      return new MobileLocator(this.driver, testId, 'accessibility');
+      return this._createMobileLocator(testId, 'accessibility');
     }
     return this.page.getByTestId(testId);
   }
 
   getByText(text, options = {}) {
     this._ensureInitialized();
+    if (this._inWebView()) {
+      return this._webViewLocator('text', text, options);
+    }
     if (this._isMobile()) {
       // For Appium we use UiSelector on Android or predicate string on iOS
       const index = options.index !== undefined ? options.index : null;
       if (this.platform === 'android') {
-        const exact = options.exact ?? false;
-        const selector = exact
-          ? `android=new UiSelector().text("${text}")`
-          : `android=new UiSelector().textContains("${text}")`;
-        return new MobileLocator(this.driver, selector, 'xpath', null, index);
+        const selector = `android=new UiSelector().${SelectorBuilder.uiSelector('text', text, options)}`;
+        return this._createMobileLocator(selector, 'uiautomator', null, index);
       } else {
         // iOS: use predicate string
-        const selector = `label == "${text}" OR name == "${text}"`;
-        return new MobileLocator(this.driver, `-ios predicate string:${selector}`, 'xpath', null, index);
+        const selector = SelectorBuilder.predicate(['label', 'name'], text, options);
+        return this._createMobileLocator(`-ios predicate string:${selector}`, 'predicate', null, index);
       }
     }
     return this.page.getByText(text, options);
@@ -470,73 +1267,138 @@ class DualityTest {
 
   getByRole(role, options = {}) {
     this._ensureInitialized();
+    if (this._inWebView()) {
+      return this._webViewLocator('role', role, options);
+    }
     if (this._isMobile()) {
-      // On mobile, "role" translates to accessibility
-      const name = options.name || '';
-      return this.getByText(name, { index: options.index });
+      const index = options.index !== undefined ? options.index : null;
+      const strategies = this._buildRoleSelectors(role, options);
+      return this._createMobileLocator(strategies[0], mobileSelectorType(strategies[0]), strategies.length > 1 ? strategies : null, index);
     }
     return this.page.getByRole(role, options);
   }
 
-  getByLabel(label) {
+  getByLabel(label, options = {}) {
     this._ensureInitialized();
+    if (this._inWebView()) {
+      return this._webViewLocator('label', label, options);
+    }
     if (this._isMobile()) {
-      // On mobile, try accessibility id first, then by text
-      // Create a locator that tries multiple strategies
+      // Labels match exactly unless told otherwise
+      const matching = { exact: true, ...options };
       if (this.platform === 'android') {
-        // Search by accessibility id first, if it fails try by text
-        // Use UiSelector that searches by content-desc or text
-        const selector = `android=new UiSelector().description("${label}").className("android.widget.EditText")`;
-        return new MobileLocator(this.driver, selector, 'xpath');
+        // Use UiSelector that searches by content-desc on editable fields
+        const selector = `android=new UiSelector().${SelectorBuilder.uiSelector('description', label, matching)}.className("android.widget.EditText")`;
+        return this._createMobileLocator(selector, 'uiautomator');
+      }
+      if (typeof label === 'string' && matching.exact && !matching.ignoreCase) {
+        return this._createMobileLocator(label, 'accessibility');
       }
-      return new MobileLocator(this.driver, label, 'accessibility');
+      const selector = SelectorBuilder.predicate(['label', 'name'], label, matching);
+      return this._createMobileLocator(`-ios predicate string:${selector}`, 'predicate');
     }
-    return this.page.getByLabel(label);
+    return this.page.getByLabel(label, options);
   }
 
-  getByPlaceholder(placeholder) {
+  getByPlaceholder(placeholder, options = {}) {
     this._ensureInitialized();
+    if (this._inWebView()) {
+      return this._webViewLocator('placeholder', placeholder, options);
+    }
     if (this._isMobile()) {
       // On Android, placeholder can be in different places
       if (this.platform === 'android') {
         // Try multiple strategies:
         // 1. By description (content-desc) - most common in React Native
-        // 2. By textContains - if placeholder is visible as text
+        // 2. By text - if placeholder is visible as text
         // 3. By accessibility id
         const strategies = [
-          `android=new UiSelector().descriptionContains("${placeholder}").className("android.widget.EditText")`,
-          `android=new UiSelector().textContains("${placeholder}").className("android.widget.EditText")`,
-          `~${placeholder}` // accessibility id as fallback
+          `android=new UiSelector().${SelectorBuilder.uiSelector('description', placeholder, options)}.className("android.widget.EditText")`,
+          `android=new UiSelector().${SelectorBuilder.uiSelector('text', placeholder, options)}.className("android.widget.EditText")`
         ];
-        return new MobileLocator(this.driver, strategies[0], 'xpath', strategies);
+        if (typeof placeholder === 'string') {
+          strategies.push(`~${placeholder}`); // accessibility id as fallback
+        }
+        return this._createMobileLocator(strategies[0], 'uiautomator', strategies);
       }
-      return new MobileLocator(this.driver, placeholder, 'accessibility');
+      if (typeof placeholder === 'string' && !options.ignoreCase && options.exact !== false) {
+        return this._createMobileLocator(placeholder, 'accessibility');
+      }
+      const selector = SelectorBuilder.predicate(['placeholderValue', 'label', 'name'], placeholder, options);
+      return this._createMobileLocator(`-ios predicate string:${selector}`, 'predicate');
     }
-    return this.page.getByPlaceholder(placeholder);
+    return this.page.getByPlaceholder(placeholder, options);
   }
 
   getById(id) {
+    if (this._inWebView()) {
+      return this._webViewLocator('id', id);
+    }
     if (this._isMobile()) {
-      return new MobileLocator(this.driver, id, 'id');
+      return this._createMobileLocator(id, 'id');
     }
     return this.page.locator(`#${id}`);
   }
 
   locator(selector) {
     this._ensureInitialized();
+    if (this._inWebView()) {
+      // WebdriverIO treats selectors starting with / or ( as XPath and anything else as CSS
+      return this._createMobileLocator(selector, /^[/(]/.test(selector) ? 'xpath' : 'css');
+    }
     if (this._isMobile()) {
       // Detect selector type
       if (selector.startsWith('~')) {
-        return new MobileLocator(this.driver, selector.substring(1), 'accessibility');
-      } else if (selector.includes('UiSelector') || selector.startsWith('android=')) {
-        return new MobileLocator(this.driver, selector, 'xpath');
+        return this._createMobileLocator(selector.substring(1), 'accessibility');
       } else {
-        return new MobileLocator(this.driver, selector, 'xpath');
+        return this._createMobileLocator(selector, mobileSelectorType(selector));
       }
     }
     return this.page.locator(selector);
   }
 
+  // Picks the selector for the current platform: { web, android, ios, default }
+  select(selectors) {
+    this._ensureInitialized();
+    const platforms = ['web', 'android', 'ios', 'default'];
+    if (selectors === null || typeof selectors !== 'object' || Array.isArray(selectors)) {
+      throw new Error(`select() expects an object of selectors keyed by platform (${platforms.join(', ')})`);
+    }
+    const unknown = Object.keys(selectors).filter(key => !platforms.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown platform in select(): ${unknown.join(', ')}. Use ${platforms.join(', ')}`);
+    }
+
+    const selector = selectors[this.platform] ?? selectors.default;
+    if (selector === undefined || selector === null) {
+      const configured = Object.keys(selectors).join(', ') || 'none';
+      throw new Error(`select() has no selector for platform "${this.platform}" and no default. Configured platforms: ${configured}`);
+    }
+    return typeof selector === 'string' ? this.locator(selector) : selector;
+  }
+
+  // Tries each selector in order; when a fallback is used instead of the primary it is reported
+  withFallbacks(primary, ...fallbacks) {
+    this._ensureInitialized();
+    if (fallbacks.length === 0) {
+      throw new Error('withFallbacks() needs a primary selector and at least one fallback');
+    }
+
+    const candidates = [primary, ...fallbacks].map(selector => this._toLocator(selector));
+    if (this._isMobile()) {
+      if (!candidates.every(candidate => candidate instanceof MobileLocator)) {
+        throw new Error('withFallbacks() on mobile accepts selector strings and MobileLocators');
+      }
+      const [first, ...rest] = candidates;
+      return first._clone({ alternatives: [...first.alternatives, ...rest] });
+    }
+
+    // Playwright waits for any candidate; the step runner checks which one matched
+    const locator = candidates.reduce((combined, candidate) => combined.or(candidate)).first();
+    Object.defineProperty(locator, '_healingCandidates', { value: candidates });
+    return locator;
+  }
+
   // ==================== ACTIONS ====================
 
   async tapOn(selector, options = {}) {
@@ -808,6 +1670,7 @@ class DualityTest {
 
   async fill(selector, text) {
     this._ensureInitialized();
+    text = await this._prepareText(selector, text);
     this.logger.debug('Fill action', { selector: this._selectorToString(selector), text });
 
     try {
@@ -826,12 +1689,21 @@ class DualityTest {
   }
 
   async inputText(text, options = {}) {
+    if (this._isMobile() && !options.into) {
+      // Type into whatever field currently has focus
+      this._ensureInitialized();
+      text = await this._prepareText(null, text);
+      this.logger.debug('Input text into focused element');
+      await this.driver.keys(text);
+      return this;
+    }
     const selector = options.into || 'input:focus, textarea:focus';
     return await this.fill(selector, text);
   }
 
   async type(selector, text, options = {}) {
     this._ensureInitialized();
+    text = await this._prepareText(selector, text);
     if (this._isMobile()) {
       // Appium doesn't have pressSequentially, use setValue with simulated delay
       const element = await this._toMobileElement(selector);
@@ -848,22 +1720,93 @@ class DualityTest {
     return this;
   }
 
-  async clearText(selector) {
-    if (this._isMobile()) {
-      const locator = this._toLocator(selector);
-      await locator.clear();
-    } else {
-      const element = this._toLocator(selector);
-      await element.clear();
+  // Unwraps secret() values and registers text typed into a password field as a secret
+  async _prepareText(selector, text) {
+    if (text instanceof Secret) {
+      this._secrets.add(text.reveal());
+      return text.reveal();
     }
-    return this;
+    const value = String(text);
+    const known = this._secrets.has(value) || this._detectedSecrets.has(value);
+    if (this.secrets.detectPasswords && !known && await this._isPasswordField(selector)) {
+      this._detectedSecrets.add(value);
+    }
+    return text;
   }
 
-  async eraseText(selector, charactersToErase = null) {
-    if (this._isMobile()) {
-      if (charactersToErase) {
+  // selector null means the focused field; answers for selectors are cached to save round trips
+  async _isPasswordField(selector) {
+    const key = selector === null ? null : this._selectorToString(selector);
+    if (this._passwordFields.has(key)) return this._passwordFields.get(key);
+    const answer = await this._checkPasswordField(selector);
+    if (key !== null && answer !== null) this._passwordFields.set(key, answer);
+    return answer ?? false;
+  }
+
+  // null when the field could not be inspected (not cached, so the next fill checks again)
+  async _checkPasswordField(selector) {
+    const looksSecret = value => /password|passcode/i.test(value ?? '');
+    if (selector !== null && looksSecret(this._selectorToString(selector))) return true;
+
+    try {
+      if (this._inWebView()) {
+        const element = selector === null
+          ? await this.driver.$(await this.driver.getActiveElement())
+          : await this._toMobileElement(selector);
+        if (await element.getAttribute('type') === 'password') return true;
+        for (const name of ['aria-label', 'placeholder', 'name', 'id']) {
+          if (looksSecret(await element.getAttribute(name))) return true;
+        }
+        return false;
+      }
+      if (!this._isMobile()) {
+        const locator = this._toLocator(selector ?? 'input:focus, textarea:focus').first();
+        return await locator.evaluate(element => element.type === 'password' ||
+          /password|passcode/i.test([
+            element.getAttribute('aria-label'), element.getAttribute('placeholder'), element.name, element.id,
+            ...[...(element.labels ?? [])].map(label => label.textContent)
+          ].join(' ')), null, { timeout: PASSWORD_CHECK_TIMEOUT });
+      }
+
+      const element = selector === null
+        ? await this.driver.$(await this.driver.getActiveElement())
+        : await this._toMobileElement(selector);
+      if (this.platform === 'android') {
+        if (await element.getAttribute('password') === 'true') return true;
+        for (const name of ['content-desc', 'hint', 'resource-id']) {
+          if (looksSecret(await element.getAttribute(name))) return true;
+        }
+      } else {
+        if (await element.getAttribute('type') === 'XCUIElementTypeSecureTextField') return true;
+        for (const name of ['label', 'name', 'placeholderValue']) {
+          if (looksSecret(await element.getAttribute(name))) return true;
+        }
+      }
+    } catch (error) {
+      this.logger.debug('Could not check for a password field', { error: error.message });
+      return null;
+    }
+    return false;
+  }
+
+  async clearText(selector) {
+    if (this._isMobile()) {
+      const locator = this._toLocator(selector);
+      await locator.clear();
+    } else {
+      const element = this._toLocator(selector);
+      await element.clear();
+    }
+    return this;
+  }
+
+  async eraseText(selector, charactersToErase = null) {
+    if (this._isMobile()) {
+      if (charactersToErase && this.platform === 'ios') {
+        await this.driver.keys(IOS_TYPED_KEYS.Backspace.repeat(charactersToErase));
+      } else if (charactersToErase) {
         for (let i = 0; i < charactersToErase; i++) {
-          await this.driver.pressKeyCode(67); // Android: KEYCODE_DEL
+          await this.driver.pressKeyCode(ANDROID_KEYCODES.Backspace);
         }
       } else {
         await this.clearText(selector);
@@ -883,15 +1826,77 @@ class DualityTest {
 
   // ==================== NAVIGATION ====================
 
-  async openLink(url) {
-    if (this._isMobile()) {
-      this.logger.warn('openLink not supported on mobile native apps');
+  async openLink(url, options = {}) {
+    this._ensureInitialized();
+    this.logger.debug('Opening link', { url, appId: options.appId });
+
+    if (this.platform === 'android') {
+      // Fires a VIEW intent for the URL, limited to the app's package
+      await this.driver.execute('mobile: deepLink', {
+        url,
+        package: options.appId ?? this._mobileAppId(),
+        waitForLaunch: true
+      });
+    } else if (this.platform === 'ios') {
+      let opened = false;
+      if (!options.safari) {
+        try {
+          // XCUITest opens the URL directly (iOS 14.5+ for bundleId)
+          await this.driver.execute('mobile: deepLink', { url, bundleId: options.appId ?? this._mobileAppId() });
+          opened = true;
+        } catch (error) {
+          this.logger.debug('mobile: deepLink failed, opening the link from Safari', { error: error.message });
+        }
+      }
+      if (!opened) {
+        await this._openLinkInSafari(url);
+      }
+      // Only custom schemes opened from another app prompt, so the caller asks for the tap
+      if (options.confirm) {
+        await this._confirmOpenInApp(typeof options.confirm === 'string' ? options.confirm : 'Open');
+      }
     } else {
       await this.page.goto(url);
     }
+
+    if (options.waitFor) {
+      await this.waitForVisible(options.waitFor, { timeout: options.timeout });
+    }
     return this;
   }
 
+  // Package (Android) or bundle ID (iOS) of the app under test, also when appId is an .apk/.app path
+  _mobileAppId() {
+    const capabilities = this.driver.capabilities ?? {};
+    return (this.platform === 'android'
+      ? capabilities.appPackage ?? capabilities['appium:appPackage']
+      : capabilities.bundleId ?? capabilities['appium:bundleId']) ?? this.appId;
+  }
+
+  async _openLinkInSafari(url) {
+    await this.driver.execute('mobile: launchApp', { bundleId: 'com.apple.mobilesafari' });
+
+    // The address bar is a button until tapped ("URL" up to iOS 14, "TabBarItemTitle" after)
+    const addressBar = await this.driver.$('-ios predicate string:type == "XCUIElementTypeButton" AND name IN {"URL", "TabBarItemTitle"}');
+    if (await addressBar.isExisting()) {
+      await addressBar.click();
+    }
+    const field = await this.driver.$('-ios predicate string:type == "XCUIElementTypeTextField" AND name == "URL"');
+    await field.waitForDisplayed({ timeout: 5000 });
+    await field.setValue(`${url}\n`);
+  }
+
+  // Taps the "Open in <app>?" prompt shown for custom schemes, if it appears
+  async _confirmOpenInApp(label) {
+    const button = await this.driver.$(`-ios predicate string:type == "XCUIElementTypeButton" AND label == "${SelectorBuilder.escapePredicateString(label)}"`);
+    try {
+      await button.waitForDisplayed({ timeout: 2000 });
+      await button.click();
+    } catch (error) {
+      this.logger.debug('No open-in-app prompt', { label, error: error.message });
+    }
+  }
+
   async back() {
     if (this._isMobile()) {
       await this.driver.back();
@@ -914,8 +1919,9 @@ class DualityTest {
     this._ensureInitialized();
     if (this._isMobile()) {
       // Reload app: terminate and relaunch
-      await this.driver.terminateApp(this.appId);
-      await this.driver.activateApp(this.appId);
+      const appId = this._mobileAppId();
+      await this.driver.terminateApp(appId);
+      await this.driver.activateApp(appId);
       // Wait for app to be ready
       await this.waitFor(2000);
     } else {
@@ -924,67 +1930,275 @@ class DualityTest {
     return this;
   }
 
+  // ==================== CONTEXTS (HYBRID APPS) ====================
+
+  // Native and WebView contexts of the mobile session: [{ id, type, url, title }]
+  async contexts() {
+    this._ensureInitialized();
+    if (!this._isMobile()) {
+      this.logger.warn('contexts() is only available on mobile');
+      return [];
+    }
+    return await this._listContexts(true);
+  }
+
+  async switchToWebView(options = {}) {
+    this._ensureInitialized();
+    if (!this._isMobile()) {
+      this.logger.warn('switchToWebView() is only available on mobile; web pages already use DOM selectors');
+      return this;
+    }
+
+    const timeout = options.timeout ?? 10000;
+    const matches = (value, expected) => expected === undefined ||
+      (expected instanceof RegExp ? expected.test(value ?? '') : (value ?? '').includes(expected));
+    // URL and title are only read when a filter needs them, since that means entering each WebView
+    const needsDetails = options.urlContains !== undefined || options.titleContains !== undefined;
+    const startTime = Date.now();
+    let seen = [];
+
+    // WebViews show up in the context list some time after the screen that hosts them
+    while (true) {
+      seen = await this._listContexts(needsDetails);
+      const webView = seen.find(context => context.type === 'webview' &&
+        (options.name === undefined || context.id === options.name) &&
+        matches(context.url, options.urlContains) &&
+        matches(context.title, options.titleContains));
+
+      if (webView) {
+        await this.driver.switchContext(webView.id);
+        this._webView = webView;
+        this.logger.info('Switched to WebView', webView);
+        return this;
+      }
+
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= timeout) break;
+      await this.waitFor(Math.min(500, timeout - elapsed));
+    }
+
+    const criteria = ['name', 'urlContains', 'titleContains']
+      .filter(key => options[key] !== undefined)
+      .map(key => `${key}: ${options[key]}`)
+      .join(', ');
+    const found = seen.map(context => context.url ? `${context.id} (${context.url})` : context.id).join(', ') || 'none';
+    throw new Error(`No WebView${criteria ? ` matching ${criteria}` : ''} after ${timeout}ms. Contexts: ${found}`);
+  }
+
+  async switchToNative() {
+    this._ensureInitialized();
+    if (!this._isMobile()) return this;
+    await this.driver.switchContext('NATIVE_APP');
+    this._webView = null;
+    this.logger.info('Switched to native context');
+    return this;
+  }
+
+  _inWebView() {
+    return this._webView !== null && this._isMobile();
+  }
+
+  async _listContexts(details) {
+    // Drivers return names, or { id, title, url } objects when fullContextList is set
+    const contexts = (await this.driver.getContexts()).map(context => (typeof context === 'string'
+      ? { id: context, type: context.startsWith('WEBVIEW') ? 'webview' : 'native', url: null, title: null }
+      : { id: context.id, type: context.id.startsWith('WEBVIEW') ? 'webview' : 'native', url: context.url ?? null, title: context.title ?? null }));
+    if (!details) return contexts;
+
+    const current = await this.driver.getContext();
+    try {
+      for (const context of contexts) {
+        if (context.type !== 'webview' || context.url !== null) continue;
+        try {
+          await this.driver.switchContext(context.id);
+          context.url = await this.driver.getUrl();
+          context.title = await this.driver.getTitle();
+        } catch (error) {
+          this.logger.debug('Could not read WebView details', { context: context.id, error: error.message });
+        }
+      }
+    } finally {
+      await this.driver.switchContext(typeof current === 'string' ? current : current?.id ?? 'NATIVE_APP');
+    }
+    return contexts;
+  }
+
   // ==================== SCROLL AND GESTURES ====================
 
+  // options: direction ('down' | 'up' | 'left' | 'right'), distance, container (scroll inside this element), settleMs
   async scroll(options = {}) {
     this._ensureInitialized();
+    await this._scrollOnce(options);
+    return this;
+  }
+
+  // Scrolls once. On web it reports whether the content moved (false at the end of a list);
+  // on mobile it returns null, since only a page source comparison tells (see scrollUntilVisible)
+  async _scrollOnce(options = {}) {
     const direction = options.direction || 'down';
     const distance = options.distance || 300;
+    const vertical = direction === 'down' || direction === 'up';
+    if (!['down', 'up', 'left', 'right'].includes(direction)) {
+      throw new Error(`Invalid scroll direction: ${direction}`);
+    }
+    if (!this._isMobile()) {
+      return await this._scrollWeb(direction, distance, options);
+    }
 
-    if (this._isMobile()) {
-      if (this.platform === 'android') {
-        // Use Appium's native mobile:scrollGesture command for Android (more reliable)
-        try {
-          const size = await this.driver.getWindowSize();
-          const scrollArea = {
-            left: Math.round(size.width * 0.1),
-            top: Math.round(size.height * 0.2),
-            width: Math.round(size.width * 0.8),
-            height: Math.round(size.height * 0.6)
-          };
-          
-          await this.driver.execute('mobile: scrollGesture', {
-            left: scrollArea.left,
-            top: scrollArea.top,
-            width: scrollArea.width,
-            height: scrollArea.height,
-            direction: direction === 'down' ? 'down' : 'up',
-            percent: 0.5,
-            speed: 500
-          });
-        } catch (error) {
-          // Fallback to swipe if mobile:scrollGesture fails
-          this.logger.debug('mobile:scrollGesture failed, using swipe fallback', { error: error.message });
-          await this.swipe(direction === 'down' ? 'up' : 'down', { distance });
-        }
-      } else {
-        // iOS - use swipe
-        await this.swipe(direction === 'down' ? 'up' : 'down', { distance });
+    // Gesture inside the container, or the middle of the screen away from the system bars
+    const box = await this._gestureArea(options.container ?? null);
+    const inset = options.container ? { x: 0.1, y: 0.1 } : { x: 0.1, y: 0.2 };
+    const area = {
+      left: Math.round(box.x + box.width * inset.x),
+      top: Math.round(box.y + box.height * inset.y),
+      width: Math.round(box.width * (1 - 2 * inset.x)),
+      height: Math.round(box.height * (1 - 2 * inset.y))
+    };
+
+    let scrolled = false;
+    if (this.platform === 'android') {
+      // Appium's native mobile:scrollGesture command is more reliable than swipes
+      try {
+        await this.driver.execute('mobile: scrollGesture', { ...area, direction, percent: 0.5, speed: 500 });
+        scrolled = true;
+      } catch (error) {
+        this.logger.debug('mobile:scrollGesture failed, using swipe fallback', { error: error.message });
       }
+    }
+    if (!scrolled) {
+      // The finger moves against the scroll direction, centered on the area
+      const travel = Math.min(distance, (vertical ? area.height : area.width) * 0.8);
+      const sign = direction === 'down' || direction === 'right' ? 1 : -1;
+      const startX = area.left + area.width / 2 + (vertical ? 0 : sign * travel / 2);
+      const startY = area.top + area.height / 2 + (vertical ? sign * travel / 2 : 0);
+      const opposite = { down: 'up', up: 'down', right: 'left', left: 'right' }[direction];
+      await this.swipe(opposite, { startX, startY, distance: travel });
+    }
+
+    await this.waitFor(options.settleMs ?? 100);
+    this.logger.debug('Scrolled', { direction });
+    return null;
+  }
+
+  // Mouse wheel over the container (or the viewport center), comparing scroll offsets around the pointer
+  async _scrollWeb(direction, distance, options) {
+    let point;
+    if (options.container) {
+      const container = this._toLocator(options.container);
+      await container.scrollIntoViewIfNeeded();
+      point = (await this._gestureArea(container)).center;
     } else {
-      await this.swipe(direction === 'down' ? 'up' : 'down', { distance });
+      const viewport = this.page.viewportSize();
+      point = { x: viewport.width / 2, y: viewport.height / 2 };
     }
-    return this;
+
+    const offsets = () => this.page.evaluate(({ x, y }) => {
+      const values = [window.scrollX, window.scrollY];
+      for (let element = document.elementFromPoint(x, y); element; element = element.parentElement) {
+        values.push(element.scrollLeft, element.scrollTop);
+      }
+      return values.join(',');
+    }, point);
+
+    const delta = { down: [0, distance], up: [0, -distance], right: [distance, 0], left: [-distance, 0] }[direction];
+    const before = await offsets();
+    await this.page.mouse.move(point.x, point.y);
+    await this.page.mouse.wheel(delta[0], delta[1]);
+    // Smooth scrolling keeps moving after the wheel event
+    await this.waitFor(options.settleMs ?? 100);
+    const moved = (await offsets()) !== before;
+    this.logger.debug('Scrolled', { direction, moved });
+    return moved;
   }
 
+  // options: direction, maxScrolls, container, distance, settleMs, native (Android mobile:scroll, default true)
   async scrollUntilVisible(selector, options = {}) {
+    this._ensureInitialized();
     const maxScrolls = options.maxScrolls ?? 10;
     const direction = options.direction ?? 'down';
 
-    for (let i = 0; i < maxScrolls; i++) {
-      const isVisible = await this.isVisible(selector);
-      if (isVisible) return this;
+    const found = async () => {
+      if (!(await this.isVisible(selector))) return false;
+      if (!this._isMobile()) {
+        // Visible in Playwright terms can still be outside the viewport
+        await this._toLocator(selector).first().scrollIntoViewIfNeeded();
+      }
+      return true;
+    };
 
-      await this.scroll({ direction });
-      await this.waitFor(300);
+    if (await found()) return this;
+    if (await this._scrollIntoViewNative(selector, { ...options, direction, maxScrolls })) return this;
+
+    // Mobile compares the screen source around each scroll; each dump is the baseline of the next scroll
+    let source = this._isMobile() ? await this.driver.getPageSource() : null;
+    for (let i = 1; i <= maxScrolls; i++) {
+      let moved = await this._scrollOnce({ ...options, direction });
+      if (await found()) return this;
+      if (moved === null) {
+        const next = await this.driver.getPageSource();
+        moved = next !== source;
+        source = next;
+      }
+      if (!moved) {
+        this.logger.error('Element not found, content stopped scrolling', { selector: this._selectorToString(selector), scrolls: i });
+        throw new Error(`Element not found: reached the end of the content after ${i} scroll${i === 1 ? '' : 's'} ${direction}`);
+      }
     }
 
     this.logger.error('Element not found after scrolling', { selector: this._selectorToString(selector), maxScrolls });
     throw new Error(`Element not found after ${maxScrolls} scrolls`);
   }
 
+  // Android's UiScrollable (through mobile: scroll) scrolls down to a selector in one command
+  async _scrollIntoViewNative(selector, options) {
+    if (this.platform !== 'android' || this._inWebView() || options.native === false || options.direction !== 'down') {
+      return false;
+    }
+    const locator = this._toLocator(selector);
+    if (!(locator instanceof MobileLocator) || !locator._isSimple() || locator.index !== null) return false;
+
+    // mobile: scroll only supports these strategies
+    const target = locator._strategySelector();
+    let strategy;
+    let value = target;
+    if (target.startsWith('~')) {
+      [strategy, value] = ['accessibility id', target.slice(1)];
+    } else if (target.startsWith('android=')) {
+      [strategy, value] = ['-android uiautomator', target.slice('android='.length)];
+    } else if (locator.type === 'id') {
+      strategy = 'id';
+    } else {
+      return false;
+    }
+
+    const args = { strategy, selector: value, maxSwipes: options.maxScrolls };
+    try {
+      if (options.container) {
+        args.elementId = (await this._toMobileElement(options.container)).elementId;
+      }
+      await this.driver.execute('mobile: scroll', args);
+    } catch (error) {
+      this.logger.debug('mobile: scroll failed, scrolling with gestures', { error: error.message });
+      return false;
+    }
+    return await this.isVisible(selector);
+  }
+
   async swipe(direction, options = {}) {
     this._ensureInitialized();
+    if (options.element) {
+      // startX/startY are relative to the element and default to its center
+      const area = await this._gestureArea(options.element);
+      options = {
+        ...options,
+        startX: area.x + (options.startX ?? area.width / 2),
+        startY: area.y + (options.startY ?? area.height / 2)
+      };
+    }
+    if ((options.fingers ?? 1) > 1) {
+      return await this._multiFingerSwipe(direction, options);
+    }
+
     if (this._isMobile()) {
       const size = await this.driver.getWindowSize();
       const startX = Math.round(options.startX || size.width / 2);
@@ -1071,22 +2285,217 @@ class DualityTest {
       const startY = options.startY || viewport.height / 2;
       const distance = options.distance ?? 300;
 
-      const directions = {
-        up: { x: startX, y: startY + distance, toX: startX, toY: startY - distance },
-        down: { x: startX, y: startY - distance, toX: startX, toY: startY + distance },
-        left: { x: startX + distance, y: startY, toX: startX - distance, toY: startY },
-        right: { x: startX - distance, y: startY, toX: startX + distance, toY: startY }
-      };
+      // Mouse drags select text instead of scrolling, so the wheel scrolls under the start point,
+      // moving the content the way the finger would (a swipe up scrolls down)
+      const delta = { up: [0, distance], down: [0, -distance], left: [distance, 0], right: [-distance, 0] }[direction];
+      if (!delta) throw new Error(`Invalid swipe direction: ${direction}`);
+      await this.page.mouse.move(startX, startY);
+      await this.page.mouse.wheel(delta[0], delta[1]);
+    }
+    return this;
+  }
 
-      const coords = directions[direction];
-      await this.page.mouse.move(coords.x, coords.y);
-      await this.page.mouse.down();
-      await this.page.mouse.move(coords.toX, coords.toY, { steps: 10 });
-      await this.page.mouse.up();
+  async _multiFingerSwipe(direction, options) {
+    const vectors = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+    const vector = vectors[direction];
+    if (!vector) throw new Error(`Invalid swipe direction: ${direction}`);
+
+    const area = await this._gestureArea(null);
+    const distance = options.distance ?? 300;
+    const spacing = options.spacing ?? 60;
+    const fingers = options.fingers;
+    const startX = options.startX ?? area.width / 2;
+    const startY = options.startY ?? area.height / 2;
+
+    // Fingers side by side, across the swipe direction
+    const paths = Array.from({ length: fingers }, (_, i) => {
+      const offset = (i - (fingers - 1) / 2) * spacing;
+      const from = { x: startX + offset * Math.abs(vector[1]), y: startY + offset * Math.abs(vector[0]) };
+      return linePath(from, { x: from.x + vector[0] * distance, y: from.y + vector[1] * distance });
+    });
+    await this._performTouchPaths(paths, this._gestureDuration(distance, options));
+    return this;
+  }
+
+  // Two fingers moving towards (scale < 1) or away from (scale > 1) the center of the element
+  async pinch(selector, options = {}) {
+    this._ensureInitialized();
+    const scale = options.scale ?? 0.5;
+    if (!(scale > 0) || scale === 1) {
+      throw new Error(`pinch() needs a positive scale other than 1, got ${scale}`);
+    }
+
+    const area = await this._gestureArea(selector, options);
+    const maxRadius = options.radius ?? Math.min(area.width, area.height) * 0.4;
+    const [from, to] = scale < 1 ? [maxRadius, maxRadius * scale] : [maxRadius / scale, maxRadius];
+    const angle = ((options.angle ?? 0) * Math.PI) / 180;
+    const point = (radius, side) => ({
+      x: area.center.x + side * radius * Math.cos(angle),
+      y: area.center.y + side * radius * Math.sin(angle)
+    });
+
+    this.logger.debug('Pinch', { selector: selector && this._selectorToString(selector), scale, from, to });
+    const paths = [1, -1].map(side => linePath(point(from, side), point(to, side)));
+    await this._performTouchPaths(paths, this._gestureDuration(Math.abs(from - to), options));
+    return this;
+  }
+
+  async zoom(selector, options = {}) {
+    return await this.pinch(selector, { ...options, scale: options.scale ?? 2 });
+  }
+
+  // Two fingers turning around the center of the element; positive degrees are clockwise
+  async rotate(selector, options = {}) {
+    this._ensureInitialized();
+    const degrees = options.degrees ?? 90;
+    const area = await this._gestureArea(selector, options);
+    const radius = options.radius ?? Math.min(area.width, area.height) * 0.3;
+    const start = ((options.angle ?? 0) * Math.PI) / 180;
+    const sweep = (degrees * Math.PI) / 180;
+    // One point per 10 degrees keeps the arc round
+    const steps = Math.max(2, Math.ceil(Math.abs(degrees) / 10));
+
+    this.logger.debug('Rotate', { selector: selector && this._selectorToString(selector), degrees, radius });
+    const paths = [0, Math.PI].map(offset => Array.from({ length: steps + 1 }, (_, i) => {
+      const angle = start + offset + (sweep * i) / steps;
+      return { x: area.center.x + radius * Math.cos(angle), y: area.center.y + radius * Math.sin(angle) };
+    }));
+    await this._performTouchPaths(paths, this._gestureDuration(radius * Math.abs(sweep), options));
+    return this;
+  }
+
+  // Drops source on target. options.offset moves the drop point away from the target's center
+  async dragAndDrop(source, target, options = {}) {
+    this._ensureInitialized();
+    const offset = { x: 0, y: 0, ...options.offset };
+    this.logger.debug('Drag and drop', {
+      source: this._selectorToString(source),
+      target: this._selectorToString(target),
+      offset
+    });
+
+    if (!this._isMobile() && options.holdMs === undefined) {
+      const targetLocator = this._toLocator(target);
+      const box = await targetLocator.boundingBox();
+      if (!box) throw new Error(`Element not visible: ${this._selectorToString(target)}`);
+      await this._toLocator(source).dragTo(targetLocator, {
+        targetPosition: { x: box.width / 2 + offset.x, y: box.height / 2 + offset.y },
+        steps: options.steps ?? 10
+      });
+      return this;
     }
+
+    const from = (await this._gestureArea(source)).center;
+    const to = (await this._gestureArea(target)).center;
+    await this._drag(from, { x: to.x + offset.x, y: to.y + offset.y }, options);
+    return this;
+  }
+
+  // Drags the element's center to the point { x, y }; a missing coordinate keeps the element's
+  async dragTo(selector, options = {}) {
+    this._ensureInitialized();
+    const from = (await this._gestureArea(selector)).center;
+    const to = { x: options.x ?? from.x, y: options.y ?? from.y };
+    this.logger.debug('Drag to point', { selector: this._selectorToString(selector), to });
+    await this._drag(from, to, options);
     return this;
   }
 
+  // Press, hold to pick up (a long press on mobile, so lists and boards enter drag mode), move, release
+  async _drag(from, to, options) {
+    const steps = options.steps ?? 10;
+    const holdMs = options.holdMs ?? (this._isMobile() ? 600 : 0);
+    const path = linePath(from, to, steps);
+
+    if (this._isMobile()) {
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      // Rest on the drop point before releasing so drop zones notice the hover
+      await this._performTouchPaths([path], this._gestureDuration(distance, options), { hold: holdMs, release: 200 });
+      return;
+    }
+
+    await this.page.mouse.move(from.x, from.y);
+    await this.page.mouse.down();
+    if (holdMs > 0) await this.page.waitForTimeout(holdMs);
+    for (const point of path.slice(1)) {
+      await this.page.mouse.move(point.x, point.y);
+    }
+    await this.page.mouse.up();
+  }
+
+  // The element's box (or the whole screen) and the gesture center; options.center is relative to the box
+  async _gestureArea(selector, options = {}) {
+    let box;
+    if (!selector) {
+      const size = this._isMobile() ? await this.driver.getWindowSize() : this.page.viewportSize();
+      box = { x: 0, y: 0, width: size.width, height: size.height };
+    } else if (this._isMobile()) {
+      const element = await this._toMobileElement(selector);
+      box = { ...(await element.getLocation()), ...(await element.getSize()) };
+    } else {
+      box = await this._toLocator(selector).boundingBox();
+      if (!box) throw new Error(`Element not visible: ${this._selectorToString(selector)}`);
+    }
+
+    const center = options.center
+      ? { x: box.x + options.center.x, y: box.y + options.center.y }
+      : { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    return { ...box, center };
+  }
+
+  // options.duration (ms) wins over options.speed (pixels per second each finger travels)
+  _gestureDuration(distance, options) {
+    if (options.duration !== undefined) return options.duration;
+    return Math.max(100, Math.round((distance / (options.speed ?? 500)) * 1000));
+  }
+
+  // paths: one list of points per finger, all the same length, traced over `duration` ms.
+  // hold: ms between touching down and moving; release: ms between the last move and lifting
+  async _performTouchPaths(paths, duration, { hold = 100, release = 0 } = {}) {
+    const segments = paths[0].length - 1;
+    const stepDuration = Math.round(duration / segments);
+    // Fingers can't touch outside the screen
+    const round = point => ({ x: Math.max(0, Math.round(point.x)), y: Math.max(0, Math.round(point.y)) });
+
+    if (this._isMobile()) {
+      await this.driver.performActions(paths.map((points, index) => ({
+        type: 'pointer',
+        id: `finger${index + 1}`,
+        parameters: { pointerType: 'touch' },
+        actions: [
+          { type: 'pointerMove', duration: 0, ...round(points[0]) },
+          { type: 'pointerDown', button: 0 },
+          { type: 'pause', duration: hold },
+          ...points.slice(1).map(point => ({ type: 'pointerMove', duration: stepDuration, ...round(point) })),
+          { type: 'pause', duration: release },
+          { type: 'pointerUp', button: 0 }
+        ]
+      })));
+      await this.driver.releaseActions();
+      return;
+    }
+
+    // Playwright's touchscreen only taps, so multi-touch goes through CDP
+    if (this.browser?.browserType().name() !== 'chromium') {
+      throw new Error('Multi-touch gestures on web need Chromium (they are sent as CDP touch events)');
+    }
+    const client = await this.context.newCDPSession(this.page);
+    const touchPoints = index => paths.map((points, id) => ({ ...round(points[index]), id }));
+    try {
+      await client.send('Emulation.setTouchEmulationEnabled', { enabled: true, maxTouchPoints: Math.max(paths.length, 2) });
+      await client.send('Input.dispatchTouchEvent', { type: 'touchStart', touchPoints: touchPoints(0) });
+      await this.page.waitForTimeout(hold);
+      for (let i = 1; i <= segments; i++) {
+        await this.page.waitForTimeout(stepDuration);
+        await client.send('Input.dispatchTouchEvent', { type: 'touchMove', touchPoints: touchPoints(i) });
+      }
+      await this.page.waitForTimeout(release);
+      await client.send('Input.dispatchTouchEvent', { type: 'touchEnd', touchPoints: [] });
+    } finally {
+      await client.detach();
+    }
+  }
+
   // ==================== WAITS ====================
 
   async waitFor(milliseconds) {
@@ -1186,9 +2595,13 @@ class DualityTest {
 
   async isChecked(selector) {
     if (this._isMobile()) {
-      const element = await this._toMobileElement(selector);
-      const isSelected = await element.isSelected();
-      return isSelected;
+      if (this.platform === 'android') {
+        return (await this.getAttribute(selector, 'checked')) === 'true';
+      }
+      // iOS switches report their state in "value"; other controls use "selected"
+      const value = await this.getAttribute(selector, 'value');
+      if (value === '1' || value === '0') return value === '1';
+      return (await this.getAttribute(selector, 'selected')) === 'true';
     } else {
       const element = this._toLocator(selector);
       return await element.isChecked();
@@ -1208,113 +2621,259 @@ class DualityTest {
   // ==================== ASSERTIONS ====================
 
   expect(selector) {
-    if (this._isMobile()) {
-      // Para mobile, devolver wrapper que soporte assertions
-      return this._createMobileExpect(selector);
-    }
-    const element = this._toLocator(selector);
-    return expect(element);
+    return this._createExpect(selector);
   }
 
-  _createMobileExpect(selector) {
+  _createExpect(selector, isNot = false) {
     const self = this;
-    return {
-      async toBeVisible() {
-        const isVisible = await self.isVisible(selector);
-        if (!isVisible) throw new Error(`Expected element to be visible: ${self._selectorToString(selector)}`);
+    const isWeb = !this._isMobile();
+    const prefix = `expect.${isNot ? 'not.' : ''}`;
+
+    // Web: hand off to Playwright's retrying expect
+    const playwright = (matcher, args) => self._runMatcher(`${prefix}${matcher}`, [selector, ...args], () => {
+      const assertion = expect(self._toLocator(selector));
+      return (isNot ? assertion.not : assertion)[matcher](...args);
+    });
+
+    // Each polled matcher retries its probe until the predicate holds or the timeout expires
+    const poll = (matcher, expected, probe, predicate, options = {}) => {
+      return self._runMatcher(`${prefix}${matcher}`, [selector, expected], () => self._pollAssertion({
+        matcher, selector, expected, probe, predicate, isNot,
+        timeout: options.timeout ?? self.expectTimeout
+      }));
+    };
+
+    const visibility = async () => (await self.isVisible(selector) ? 'visible' : 'hidden');
+    const enabledState = async () => (await self.isEnabled(selector) ? 'enabled' : 'disabled');
+    const attribute = name => () => self.getAttribute(selector, name);
+    const flag = name => async () => (await self.getAttribute(selector, name)) === 'true';
+
+    const matchers = {
+      get not() {
+        return self._createExpect(selector, !isNot);
       },
-      async toBeHidden() {
-        const isVisible = await self.isVisible(selector);
-        if (isVisible) throw new Error(`Expected element to be hidden: ${self._selectorToString(selector)}`);
+      toBeVisible(options = {}) {
+        if (isWeb) return playwright('toBeVisible', [options]);
+        return poll('toBeVisible', undefined, visibility, state => state === 'visible', options);
       },
-      async toHaveText(text) {
-        const actualText = await self.getText(selector);
-        if (actualText !== text) {
-          throw new Error(`Expected text "${text}", got "${actualText}"`);
-        }
+      toBeHidden(options = {}) {
+        if (isWeb) return playwright('toBeHidden', [options]);
+        return poll('toBeHidden', undefined, visibility, state => state === 'hidden', options);
       },
-      async toContainText(text) {
-        const actualText = await self.getText(selector);
-        if (!actualText.includes(text)) {
-          throw new Error(`Expected to contain "${text}", got "${actualText}"`);
+      toHaveText(text, options = {}) {
+        if (isWeb) return playwright('toHaveText', [text, options]);
+        return poll('toHaveText', text, () => self.getText(selector),
+          actual => self._matchesText(actual, text, options), options);
+      },
+      toContainText(text, options = {}) {
+        if (isWeb) return playwright('toContainText', [text, options]);
+        return poll('toContainText', text, () => self.getText(selector),
+          actual => self._matchesText(actual, text, { ...options, contains: true }), options);
+      },
+      toHaveValue(value, options = {}) {
+        if (isWeb) return playwright('toHaveValue', [value, options]);
+        return poll('toHaveValue', value, () => self.getValue(selector),
+          actual => self._matchesText(actual, value, options), options);
+      },
+      toHaveCount(count, options = {}) {
+        // Playwright only knows exact counts; ranges are polled on every platform
+        if (isWeb && typeof count === 'number') return playwright('toHaveCount', [count, options]);
+        return poll('toHaveCount', count, () => self.count(selector),
+          actual => self._matchesCount(actual, count), options);
+      },
+      toBeEnabled(options = {}) {
+        if (isWeb) return playwright('toBeEnabled', [options]);
+        return poll('toBeEnabled', undefined, enabledState, state => state === 'enabled', options);
+      },
+      toBeDisabled(options = {}) {
+        if (isWeb) return playwright('toBeDisabled', [options]);
+        return poll('toBeDisabled', undefined, enabledState, state => state === 'disabled', options);
+      },
+      toBeChecked(options = {}) {
+        if (isWeb) return playwright('toBeChecked', [options]);
+        const checked = options.checked ?? true;
+        return poll('toBeChecked', checked ? 'checked' : 'unchecked',
+          async () => (await self.isChecked(selector) ? 'checked' : 'unchecked'),
+          state => state === (checked ? 'checked' : 'unchecked'), options);
+      },
+      toHaveAttribute(name, value, options = {}) {
+        // toHaveAttribute(name, options) only checks that the attribute exists
+        if (value !== undefined && !(typeof value === 'string' || value instanceof RegExp)) {
+          options = value;
+          value = undefined;
         }
+        if (isWeb) return playwright('toHaveAttribute', value === undefined ? [name, options] : [name, value, options]);
+        return poll('toHaveAttribute', value === undefined ? { [name]: '<any>' } : { [name]: value }, attribute(name),
+          actual => (value === undefined ? actual !== null && actual !== undefined : self._matchesText(actual, value, options)),
+          options);
+      },
+      toBeFocused(options = {}) {
+        if (isWeb) return playwright('toBeFocused', [options]);
+        const focused = flag(self.platform === 'android' ? 'focused' : 'hasFocus');
+        return poll('toBeFocused', undefined, async () => (await focused() ? 'focused' : 'not focused'),
+          state => state === 'focused', options);
+      },
+      toHaveAccessibleName(name, options = {}) {
+        if (isWeb) return playwright('toHaveAccessibleName', [name, options]);
+        return poll('toHaveAccessibleName', name, () => self._getAccessibleName(selector),
+          actual => self._matchesText(actual, name, options), options);
+      },
+      toBeInViewport(options = {}) {
+        if (isWeb) return playwright('toBeInViewport', [options]);
+        return poll('toBeInViewport', options.ratio !== undefined ? { ratio: options.ratio } : undefined,
+          () => self._getViewportRatio(selector),
+          ratio => ratio > 0 && ratio >= (options.ratio ?? 0), options);
       }
     };
-  }
 
-  async toBeVisible(selector) {
-    await this.expect(selector).toBeVisible();
-    return this;
+    if (isWeb) {
+      // Keep the rest of Playwright's matchers (toHaveClass, toHaveCSS, ...) reachable on web
+      const assertion = expect(this._toLocator(selector));
+      return Object.defineProperties(Object.create(isNot ? assertion.not : assertion),
+        Object.getOwnPropertyDescriptors(matchers));
+    }
+    return matchers;
   }
 
-  async toBeHidden(selector) {
-    await this.expect(selector).toBeHidden();
-    return this;
-  }
+  async _pollAssertion({ matcher, selector, expected, probe, predicate, isNot, timeout }) {
+    const startTime = Date.now();
+    let received;
+    let lastError = null;
 
-  async toHaveText(selector, text, options = {}) {
-    if (this._isMobile()) {
-      const actualText = await this.getText(selector);
-      if (actualText !== text) {
-        throw new Error(`Expected text "${text}", got "${actualText}"`);
+    while (true) {
+      try {
+        received = await probe();
+        lastError = null;
+      } catch (error) {
+        received = undefined;
+        lastError = error;
       }
-    } else {
-      await expect(this._toLocator(selector)).toHaveText(text, options);
+
+      if (predicate(received) !== isNot) return;
+
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= timeout) break;
+      await this.waitFor(Math.min(100, timeout - elapsed));
     }
-    return this;
-  }
 
-  async toContainText(selector, text) {
-    if (this._isMobile()) {
-      await this.expect(selector).toContainText(text);
-    } else {
-      await expect(this._toLocator(selector)).toContainText(text);
+    const format = value => {
+      if (typeof value === 'string') return `"${value}"`;
+      if (value instanceof RegExp) return String(value);
+      return JSON.stringify(value, (key, item) => (item instanceof RegExp ? String(item) : item));
+    };
+    let message = `expect(${this._selectorToString(selector)})${isNot ? '.not' : ''}.${matcher}() failed after waiting ${Date.now() - startTime}ms`;
+    if (expected !== undefined) {
+      message += `\n  Expected: ${isNot ? 'not ' : ''}${format(expected)}`;
     }
-    return this;
+    message += `\n  Received: ${lastError ? `<error: ${lastError.message}>` : format(received)}`;
+    throw new Error(message);
   }
 
-  async toHaveValue(selector, value) {
-    if (this._isMobile()) {
-      const actualValue = await this.getValue(selector);
-      if (actualValue !== value) {
-        throw new Error(`Expected value "${value}", got "${actualValue}"`);
-      }
-    } else {
-      await expect(this._toLocator(selector)).toHaveValue(value);
+  _matchesText(actual, expected, options = {}) {
+    if (actual === null || actual === undefined) return false;
+
+    // Same whitespace normalization as Playwright's text matchers
+    const text = String(actual).replace(/\s+/g, ' ').trim();
+
+    if (expected instanceof RegExp) {
+      const flags = options.ignoreCase && !expected.flags.includes('i') ? `${expected.flags}i` : expected.flags;
+      return new RegExp(expected.source, flags).test(text);
     }
-    return this;
+
+    const normalize = value => {
+      const normalized = String(value).replace(/\s+/g, ' ').trim();
+      return options.ignoreCase ? normalized.toLowerCase() : normalized;
+    };
+    return options.contains
+      ? normalize(text).includes(normalize(expected))
+      : normalize(text) === normalize(expected);
   }
 
-  async toHaveCount(selector, count) {
-    const actualCount = await this.count(selector);
+  _matchesCount(actual, count) {
     const expectedCount = typeof count === 'object' ? count : { exact: count };
+    if (expectedCount.exact !== undefined && actual !== expectedCount.exact) return false;
+    if (expectedCount.min !== undefined && actual < expectedCount.min) return false;
+    if (expectedCount.max !== undefined && actual > expectedCount.max) return false;
+    return true;
+  }
 
-    if (expectedCount.exact !== undefined && actualCount !== expectedCount.exact) {
-      throw new Error(`Expected count ${expectedCount.exact}, got ${actualCount}`);
-    }
-    if (expectedCount.min !== undefined && actualCount < expectedCount.min) {
-      throw new Error(`Expected min count ${expectedCount.min}, got ${actualCount}`);
-    }
-    if (expectedCount.max !== undefined && actualCount > expectedCount.max) {
-      throw new Error(`Expected max count ${expectedCount.max}, got ${actualCount}`);
+  _runMatcher(method, args, fn) {
+    // Matchers called from inside a step (e.g. app.toBeVisible) are part of that step
+    if (stepContext.getStore()?.app === this) {
+      return fn();
     }
+    return this._runStep({ method, args, index: 1, total: 1 }, fn);
+  }
+
+  async toBeVisible(selector, options = {}) {
+    await this.expect(selector).toBeVisible(options);
+    return this;
+  }
+
+  async toBeHidden(selector, options = {}) {
+    await this.expect(selector).toBeHidden(options);
+    return this;
+  }
+
+  async toHaveText(selector, text, options = {}) {
+    await this.expect(selector).toHaveText(text, options);
+    return this;
+  }
+
+  async toContainText(selector, text, options = {}) {
+    await this.expect(selector).toContainText(text, options);
+    return this;
+  }
+
+  async toHaveValue(selector, value, options = {}) {
+    await this.expect(selector).toHaveValue(value, options);
+    return this;
+  }
+
+  async toHaveCount(selector, count, options = {}) {
+    await this.expect(selector).toHaveCount(count, options);
+    return this;
+  }
+
+  async toBeEnabled(selector, options = {}) {
+    await this.expect(selector).toBeEnabled(options);
+    return this;
+  }
+
+  async toBeDisabled(selector, options = {}) {
+    await this.expect(selector).toBeDisabled(options);
+    return this;
+  }
+
+  async toBeChecked(selector, options = {}) {
+    await this.expect(selector).toBeChecked(options);
+    return this;
+  }
+
+  async toHaveAttribute(selector, name, value, options = {}) {
+    await this.expect(selector).toHaveAttribute(name, value, options);
+    return this;
+  }
+
+  async toBeFocused(selector, options = {}) {
+    await this.expect(selector).toBeFocused(options);
     return this;
   }
 
-  async toBeEnabled(selector) {
-    const isEnabled = await this.isEnabled(selector);
-    if (!isEnabled) throw new Error('Expected element to be enabled');
+  async toHaveAccessibleName(selector, name, options = {}) {
+    await this.expect(selector).toHaveAccessibleName(name, options);
     return this;
   }
 
-  async toBeDisabled(selector) {
-    const isEnabled = await this.isEnabled(selector);
-    if (isEnabled) throw new Error('Expected element to be disabled');
+  async toBeInViewport(selector, options = {}) {
+    await this.expect(selector).toBeInViewport(options);
     return this;
   }
 
   async toHaveURL(url, options = {}) {
-    if (this._isMobile()) {
+    if (this._inWebView()) {
+      await this._pollPage('toHaveURL', url, () => this.driver.getUrl(), options);
+    } else if (this._isMobile()) {
       this.logger.warn('toHaveURL not supported on mobile native apps');
     } else {
       await expect(this.page).toHaveURL(url, options);
@@ -1323,7 +2882,9 @@ class DualityTest {
   }
 
   async toHaveTitle(title, options = {}) {
-    if (this._isMobile()) {
+    if (this._inWebView()) {
+      await this._pollPage('toHaveTitle', title, () => this.driver.getTitle(), options);
+    } else if (this._isMobile()) {
       this.logger.warn('toHaveTitle not supported on mobile native apps');
     } else {
       await expect(this.page).toHaveTitle(title, options);
@@ -1331,6 +2892,153 @@ class DualityTest {
     return this;
   }
 
+  // Page-level assertion inside a WebView, retried like the mobile element matchers
+  async _pollPage(matcher, expected, probe, options) {
+    await this._pollAssertion({
+      matcher, selector: 'page', expected, probe, isNot: false,
+      predicate: value => (expected instanceof RegExp ? expected.test(value ?? '') : value === expected),
+      timeout: options.timeout ?? this.expectTimeout
+    });
+  }
+
+  // ==================== VISUAL COMPARISON ====================
+
+  async toMatchScreenshot(name, options = {}) {
+    this._ensureInitialized();
+    const { readFile, writeFile, mkdir } = await import('fs/promises');
+
+    // Baselines are keyed by platform and device, so one test keeps a baseline per target
+    const key = join(
+      ...(this.testName ? [this._safeFileName(this.testName)] : []),
+      this._safeFileName(`${this.platform}-${await this._screenshotDeviceKey()}`)
+    );
+    const file = this._safeFileName(String(name).replace(/\.png$/i, ''));
+    const baselinePath = join(this.screenshotsDir, key, `${file}.png`);
+    const update = options.update ?? this.updateScreenshots;
+    const timeout = options.timeout ?? this.expectTimeout;
+
+    const saveBaseline = async image => {
+      await mkdir(dirname(baselinePath), { recursive: true });
+      await writeFile(baselinePath, encodePng(image));
+    };
+
+    if (!existsSync(baselinePath)) {
+      await saveBaseline(await this._captureForComparison(options));
+      if (update) {
+        this.logger.info('Screenshot baseline created', { path: baselinePath });
+        return this;
+      }
+      throw new Error(`No baseline for screenshot "${name}". Saved the current screenshot as the baseline: ${baselinePath}`);
+    }
+
+    // Retry until the screen settles on the baseline (animations, late images) or the timeout expires
+    const baseline = decodePng(await readFile(baselinePath));
+    const startTime = Date.now();
+    let actual;
+    let result;
+    while (true) {
+      actual = await this._captureForComparison(options);
+      result = compareImages(actual, baseline, options);
+      if (result.passed || update) break;
+
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= timeout) break;
+      await this.waitFor(Math.min(250, timeout - elapsed));
+    }
+
+    if (result.passed) return this;
+
+    if (update) {
+      await saveBaseline(actual);
+      this.logger.info('Screenshot baseline updated', { path: baselinePath, diff: result.reason });
+      return this;
+    }
+
+    const outputDir = join(this.artifacts?.dir ?? join('test-results', 'dualitytest'), 'screenshots', key);
+    const outputs = { expected: baselinePath, actual: join(outputDir, `${file}-actual.png`) };
+    await mkdir(outputDir, { recursive: true });
+    await writeFile(outputs.actual, encodePng(actual));
+    if (result.diff) {
+      outputs.diff = join(outputDir, `${file}-diff.png`);
+      await writeFile(outputs.diff, encodePng(result.diff));
+    }
+
+    const error = new Error(
+      `Screenshot "${name}" does not match its baseline: ${result.reason}\n` +
+      Object.entries(outputs).map(([label, path]) => `  ${label}: ${path}`).join('\n') +
+      '\nSet updateScreenshots (or DUALITYTEST_UPDATE_SCREENSHOTS=1) to accept the new screenshot.'
+    );
+    error.screenshots = outputs;
+    throw error;
+  }
+
+  async _screenshotDeviceKey() {
+    if (this._isMobile()) {
+      const capabilities = this.driver.capabilities ?? {};
+      const device = capabilities.deviceName ?? capabilities['appium:deviceName'] ?? 'device';
+      const { width, height } = await this.driver.getWindowSize();
+      return `${device}-${width}x${height}`;
+    }
+    const { width, height } = this.page.viewportSize() ?? await this.page.evaluate(() => ({ width: innerWidth, height: innerHeight }));
+    return `${this.browser?.browserType().name() ?? 'browser'}-${width}x${height}`;
+  }
+
+  // Screenshot decoded to pixels, cropped to options.element and with options.mask painted over
+  async _captureForComparison(options = {}) {
+    let origin = { x: 0, y: 0 };
+    if (options.element && !this._isMobile()) {
+      await this._toLocator(options.element).first().scrollIntoViewIfNeeded();
+    }
+
+    let image = decodePng(await this._captureScreenshot());
+
+    // Screenshots are in device pixels, element bounds in points (mobile) or CSS pixels (web)
+    const viewport = this._isMobile()
+      ? await this.driver.getWindowSize()
+      : this.page.viewportSize() ?? await this.page.evaluate(() => ({ width: innerWidth, height: innerHeight }));
+    const scale = viewport?.width ? image.width / viewport.width : 1;
+    const toPixels = rect => ({
+      x: (rect.x - origin.x) * scale,
+      y: (rect.y - origin.y) * scale,
+      width: rect.width * scale,
+      height: rect.height * scale
+    });
+
+    if (options.element) {
+      const [bounds] = await this._getBounds(options.element);
+      if (!bounds) {
+        throw new Error(`Element ${this._selectorToString(options.element)} for the screenshot is not on screen`);
+      }
+      image = cropImage(image, toPixels(bounds));
+      origin = bounds;
+    }
+
+    const masks = [];
+    for (const mask of [options.mask ?? []].flat()) {
+      const isRect = typeof mask === 'object' && ['x', 'y', 'width', 'height'].every(field => typeof mask[field] === 'number');
+      masks.push(...(isRect ? [mask] : await this._getBounds(mask)));
+    }
+    return paintMasks(image, masks.map(toPixels));
+  }
+
+  // Screen rectangles of every element matching the selector
+  async _getBounds(selector) {
+    const bounds = [];
+    if (this._isMobile()) {
+      for (const element of await this._toLocator(selector)._getElements()) {
+        const location = await element.getLocation();
+        const size = await element.getSize();
+        bounds.push({ ...location, ...size });
+      }
+    } else {
+      for (const element of await this._toLocator(selector).all()) {
+        const box = await element.boundingBox();
+        if (box) bounds.push(box);
+      }
+    }
+    return bounds;
+  }
+
   // ==================== ACCIONES ADICIONALES ====================
 
   async selectOption(selector, value) {
@@ -1371,28 +3079,84 @@ class DualityTest {
     return this;
   }
 
+  // key: a Playwright key name or chord ('Enter', 'ArrowLeft', 'Control+A', 'Shift+Tab')
   async press(key) {
     this._ensureInitialized();
     if (this._isMobile()) {
-      // Basic mapping of common keys
-      const keyMap = {
-        'Enter': 66, // KEYCODE_ENTER
-        'Escape': 111, // KEYCODE_ESCAPE
-        'Backspace': 67 // KEYCODE_DEL
-      };
-      const keyCode = keyMap[key] || 0;
-      if (keyCode) {
-        await this.driver.pressKeyCode(keyCode);
-      }
+      await this._pressMobileKey(key);
     } else {
       await this.page.keyboard.press(key);
     }
     return this;
   }
 
+  async _pressMobileKey(key) {
+    const { name, modifiers } = parseKey(key, this.platform);
+    const unsupported = () => new Error(
+      `Key "${key}" is not supported on ${this.platform}. ` +
+      `Use a single character or one of: ${Object.keys(this.platform === 'ios' ? IOS_KEYBOARD_KEYS : ANDROID_KEYCODES).filter(item => item.length > 1).join(', ')}`
+    );
+
+    if (this.platform === 'android') {
+      let keyCode = ANDROID_KEYCODES[name] ?? ANDROID_KEYCODES[name.toLowerCase()];
+      const flags = [...modifiers];
+      // A lone uppercase letter is typed with Shift; in chords ('Control+A') it names the key
+      if (/^[A-Z]$/.test(name) && modifiers.length === 0) flags.push('Shift');
+
+      if (keyCode === undefined) {
+        if (name.length !== 1 || modifiers.length > 0) throw unsupported();
+        await this.driver.keys([name]);
+        return;
+      }
+      const metaState = flags.reduce((state, modifier) => state | ANDROID_METASTATES[modifier], 0);
+      this.logger.debug('Pressing Android key', { key, keyCode, metaState });
+      await this.driver.pressKeyCode(keyCode, metaState || undefined);
+      return;
+    }
+
+    // The software keyboard only types text; other keys need a hardware keyboard (iPad, Simulator)
+    if (modifiers.length === 0 && (IOS_TYPED_KEYS[name] || name.length === 1)) {
+      await this.driver.keys([IOS_TYPED_KEYS[name] ?? name]);
+      return;
+    }
+    const value = IOS_KEYBOARD_KEYS[name] ?? (name.length === 1 ? name.toLowerCase() : undefined);
+    if (value === undefined) throw unsupported();
+    const modifierFlags = modifiers.reduce((flags, modifier) => flags | IOS_MODIFIER_FLAGS[modifier], 0);
+    this.logger.debug('Pressing iOS keyboard key', { key, modifierFlags });
+    await this.driver.execute('mobile: keys', { keys: [{ key: value, modifierFlags }] });
+  }
+
+  // Presses the keyboard's return key (Enter, Go, Search, Done...), e.g. to submit a form
+  async pressReturn() {
+    this._ensureInitialized();
+    if (this.platform === 'android') {
+      await this.driver.pressKeyCode(ANDROID_KEYCODES.Enter);
+    } else if (this.platform === 'ios') {
+      await this.driver.keys([IOS_TYPED_KEYS.Enter]);
+    } else {
+      await this.page.keyboard.press('Enter');
+    }
+    return this;
+  }
+
+  // Whether the software keyboard is on screen (always false on web)
+  async keyboardIsShown() {
+    this._ensureInitialized();
+    if (!this._isMobile()) return false;
+    return Boolean(await this.driver.isKeyboardShown());
+  }
+
   async hideKeyboard() {
     if (this._isMobile()) {
-      await this.driver.hideKeyboard();
+      if (!(await this.keyboardIsShown())) return this;
+      try {
+        await this.driver.hideKeyboard();
+      } catch (error) {
+        // Keyboards without a dismiss key (e.g. number pads) can't be hidden by XCUITest
+        if (this.platform !== 'ios') throw error;
+        this.logger.debug('Could not hide the iOS keyboard, pressing its return key', { error: error.message });
+        await this.driver.keys([IOS_TYPED_KEYS.Enter]);
+      }
     } else {
       await this.page.keyboard.press('Escape');
     }
@@ -1445,6 +3209,19 @@ class DualityTest {
     }
   }
 
+  async getAttribute(selector, name) {
+    this._ensureInitialized();
+    if (this._isMobile()) {
+      const element = await this._toMobileElement(selector);
+      // WebView elements are DOM elements, so web attribute names apply as is
+      const attributeName = this._inWebView() ? name : MOBILE_ATTRIBUTES[this.platform][name] || name;
+      return await element.getAttribute(attributeName);
+    } else {
+      const element = this._toLocator(selector);
+      return await element.getAttribute(name);
+    }
+  }
+
   async screenshot(options = {}) {
     this._ensureInitialized();
     const path = options.path ?? `screenshot-${Date.now()}.png`;
@@ -1463,29 +3240,83 @@ class DualityTest {
     return await this.screenshot({ path });
   }
 
-  async startRecording() {
+  async startRecording(options = {}) {
+    this._ensureInitialized();
+    if (this._recording) {
+      throw new Error('Recording is already running. Call stopRecording() first.');
+    }
+
     if (this._isMobile()) {
-      await this.driver.startRecordingScreen();
-      this.logger.info('Recording started');
+      await this.driver.startRecordingScreen(options.mobile);
+      this._recording = { startTime: Date.now() };
     } else {
-      this.logger.warn('Recording not supported on web platform');
+      // Playwright only records video for a whole context. Moving the session to a recording context
+      // closes the page, so it is only done before the test has navigated or taken anything from it.
+      if (this._contextOptions.recordVideo) {
+        throw new Error(`The session is already recorded by launch({ recordVideo }); videos are saved to ${this._contextOptions.recordVideo.dir} on close()`);
+      }
+      const fresh = this.page.url() === 'about:blank' && this.context.pages().length === 1 && this._pendingVideos.length === 0;
+      if (!fresh) {
+        throw new Error('Web recordings must start before the first navigation. Use launch({ recordVideo: { dir } }) to record the session.');
+      }
+      if (this._trace) {
+        throw new Error('Stop tracing before starting a web recording');
+      }
+      const { mkdtemp } = await import('fs/promises');
+      const dir = await mkdtemp(join(tmpdir(), 'dualitytest-video-'));
+      await this._replaceWebContext({
+        recordVideo: { dir, size: options.size ?? this._contextOptions.viewport ?? undefined }
+      });
+      this._recording = { startTime: Date.now(), dir, page: this.page };
     }
+
+    this.logger.info('Recording started');
     return this;
   }
 
   async stopRecording(options = {}) {
+    if (!this._recording) {
+      throw new Error('Recording is not running. Call startRecording() first.');
+    }
+
+    const recording = this._recording;
+    this._recording = null;
+    const fs = await import('fs/promises');
+    const path = options.path ?? `recording-${Date.now()}.${this._isMobile() ? 'mp4' : 'webm'}`;
+    await fs.mkdir(dirname(path) || '.', { recursive: true });
+
     if (this._isMobile()) {
       const video = await this.driver.stopRecordingScreen();
-      if (options.path) {
-        const fs = await import('fs/promises');
-        await fs.writeFile(options.path, Buffer.from(video, 'base64'));
-        this.logger.info('Recording saved', { path: options.path });
-      }
-      return video;
+      await fs.writeFile(path, Buffer.from(video, 'base64'));
     } else {
-      this.logger.warn('Recording not supported on web platform');
+      // Videos are only finished when their pages close, so the page keeps running and close() saves the file
+      this._pendingVideos.push({ ...recording, path, pages: this.context.pages() });
+    }
+
+    const duration = Date.now() - recording.startTime;
+    this.logger.info(this._isMobile() ? 'Recording saved' : 'Recording stopped, saved on close()', { path, duration });
+    return { path, duration };
+  }
+
+  // Saves web videos stopped by stopRecording(); their pages must be closed. Popups get their own file next to the main one.
+  async _savePendingVideos() {
+    const fs = await import('fs/promises');
+    for (const recording of this._pendingVideos.splice(0)) {
+      const { path } = recording;
+      try {
+        await recording.page.video().saveAs(path);
+        let popup = 0;
+        for (const page of recording.pages) {
+          if (page === recording.page || !page.video()) continue;
+          const popupPath = join(dirname(path), `${basename(path, extname(path))}-popup-${++popup}${extname(path)}`);
+          await page.video().saveAs(popupPath);
+          this.logger.info('Popup recording saved', { path: popupPath });
+        }
+        this.logger.info('Recording saved', { path });
+      } finally {
+        await fs.rm(recording.dir, { recursive: true, force: true });
+      }
     }
-    return this;
   }
 
   async copyTextFrom(selector) {
@@ -1525,7 +3356,7 @@ class DualityTest {
   }
 
   async setEnv(key, value) {
-    this.env[key] = value;
+    this._storeEnv(key, value);
     return this;
   }
 
@@ -1533,17 +3364,318 @@ class DualityTest {
     return this.env[key];
   }
 
+  _storeEnv(key, value) {
+    // Flows interpolate env values into strings, so secrets are stored revealed and registered
+    if (value instanceof Secret || this.secrets.env.includes(key)) {
+      value = value instanceof Secret ? value.reveal() : value;
+      if (value != null) this._secrets.add(String(value));
+    }
+    this.env[key] = value;
+  }
+
+  // ==================== STEP EVENTS ====================
+
+  onStep(listener) {
+    this._stepListeners.push(listener);
+    return () => {
+      this._stepListeners = this._stepListeners.filter(l => l !== listener);
+    };
+  }
+
+  // Fields added to every log entry
+  _logContext() {
+    const context = stepContext.getStore();
+    const step = context?.app === this
+      ? { ...context.step, id: context.id, startTime: context.startTime }
+      : null;
+    return { sessionId: this.sessionId, session: this.sessionName, platform: this.platform, testName: this.testName, step };
+  }
+
+  // ==================== SELF-HEALING ====================
+
+  // Fallback chains used instead of their primary selector during this session
+  getHealingReport() {
+    return [...this._healings.values()].map(({ contexts, ...entry }) => ({ ...entry, steps: [...entry.steps] }));
+  }
+
+  // ==================== TRACING ====================
+
+  async startTracing(options = {}) {
+    this._ensureInitialized();
+    if (this._trace) {
+      throw new Error('Tracing is already running. Call stopTracing() first.');
+    }
+
+    const { mkdtemp } = await import('fs/promises');
+    const trace = {
+      title: options.title ?? this.testName ?? `${this.platform} trace`,
+      platform: this.platform,
+      startTime: Date.now(),
+      screenshots: options.screenshots ?? true,
+      sources: options.sources ?? true,
+      steps: [],
+      dir: await mkdtemp(join(tmpdir(), 'dualitytest-trace-'))
+    };
+
+    // Web also records Playwright's own trace (DOM snapshots, network, console)
+    if (!this._isMobile()) {
+      await this.context.tracing.start({ screenshots: trace.screenshots, snapshots: trace.sources, title: trace.title });
+    }
+
+    this._trace = trace;
+    this.logger.info('Tracing started', { title: trace.title });
+    return this;
+  }
+
+  async stopTracing(options = {}) {
+    if (!this._trace) {
+      throw new Error('Tracing is not running. Call startTracing() first.');
+    }
+
+    const trace = this._trace;
+    this._trace = null;
+    const path = options.path ?? 'trace.zip';
+    const { rm } = await import('fs/promises');
+
+    try {
+      const files = [];
+      if (!this._isMobile()) {
+        await this.context.tracing.stop({ path: join(trace.dir, 'playwright-trace.zip') });
+        files.push('playwright-trace.zip');
+      }
+
+      await writeTraceArchive(path, this._redact({
+        title: trace.title,
+        platform: trace.platform,
+        startTime: trace.startTime,
+        endTime: Date.now(),
+        steps: trace.steps,
+        files
+      }), trace.dir);
+    } finally {
+      await rm(trace.dir, { recursive: true, force: true });
+    }
+
+    this.logger.info('Trace saved', { path, steps: trace.steps.length });
+    return { path, steps: trace.steps.length };
+  }
+
+  async _traceBefore(trace, step) {
+    const traceStep = {
+      index: trace.steps.length + 1,
+      method: step.method,
+      selector: step.selector,
+      startTime: Date.now(),
+      duration: 0,
+      status: 'running',
+      error: null,
+      before: null,
+      after: null,
+      source: null
+    };
+    trace.steps.push(traceStep);
+    if (trace.screenshots) {
+      traceStep.before = await this._traceFile(trace, `screenshots/${traceStep.index}-before.png`, () => this._captureScreenshot());
+    }
+    return traceStep;
+  }
+
+  async _traceAfter(trace, traceStep, error) {
+    traceStep.duration = Date.now() - traceStep.startTime;
+    traceStep.status = error ? 'failed' : 'passed';
+    traceStep.error = error ? error.message : null;
+    if (trace.screenshots) {
+      traceStep.after = await this._traceFile(trace, `screenshots/${traceStep.index}-after.png`, () => this._captureScreenshot());
+    }
+    if (trace.sources) {
+      const extension = this._isMobile() && !this._inWebView() ? 'xml' : 'html';
+      traceStep.source = await this._traceFile(trace, `sources/${traceStep.index}.${extension}`,
+        () => (this._isMobile() ? this.driver.getPageSource() : this.page.content()));
+    }
+  }
+
+  // Writes one trace file; a failed capture leaves the step without it instead of failing the test
+  async _traceFile(trace, name, produce) {
+    try {
+      const { mkdir, writeFile } = await import('fs/promises');
+      const content = this._redact(await produce());
+      await mkdir(dirname(join(trace.dir, name)), { recursive: true });
+      await writeFile(join(trace.dir, name), content);
+      return name;
+    } catch (error) {
+      this.logger.debug('Could not capture trace file', { name, error: error.message });
+      return null;
+    }
+  }
+
+  async _captureScreenshot() {
+    if (this._isMobile()) {
+      return Buffer.from(await this.driver.takeScreenshot(), 'base64');
+    }
+    return await this.page.screenshot();
+  }
+
+  // ==================== FLOWS ====================
+
+  async runFlow(file, options = {}) {
+    const runner = new FlowRunner(this, options);
+    const report = await runner.run(file, options);
+    if (!report.passed) {
+      const error = new Error(`Flow ${basename(file)} failed: ${report.error.message}`);
+      error.report = report;
+      throw error;
+    }
+    return this;
+  }
+
+  // ==================== APP LIFECYCLE ====================
+
+  async installApp(path) {
+    this._ensureInitialized();
+    if (!this._isMobile()) {
+      this.logger.warn('installApp is only available on mobile');
+      return this;
+    }
+    this.logger.info('Installing app', { path });
+    await this.driver.installApp(path);
+    return this;
+  }
+
+  async uninstallApp(options = {}) {
+    this._ensureInitialized();
+    if (!this._isMobile()) {
+      this.logger.warn('uninstallApp is only available on mobile');
+      return this;
+    }
+    const appId = options.appId ?? this._mobileAppId();
+    this.logger.info('Uninstalling app', { appId });
+    await this.driver.removeApp(appId);
+    return this;
+  }
+
+  async isAppInstalled(options = {}) {
+    this._ensureInitialized();
+    if (!this._isMobile()) {
+      // A site is always "installed"
+      this.logger.warn('isAppInstalled is only available on mobile');
+      return true;
+    }
+    return Boolean(await this.driver.isAppInstalled(options.appId ?? this._mobileAppId()));
+  }
+
+  // Puts the app in the background for `seconds`, then brings it back; a negative value leaves it there.
+  // On web a new tab covers the page.
+  async backgroundApp(seconds = 5) {
+    this._ensureInitialized();
+    this.logger.info('Sending app to background', { seconds });
+
+    if (this._isMobile()) {
+      await this.driver.execute('mobile: backgroundApp', { seconds: seconds < 0 ? -1 : seconds });
+      return this;
+    }
+
+    this._coverPage = await this.context.newPage();
+    await this._coverPage.bringToFront();
+    if (seconds >= 0) {
+      await this.waitFor(seconds * 1000);
+      await this.activateApp();
+    }
+    return this;
+  }
+
+  // Brings the app to the foreground, launching it if needed. On web it reopens a closed page at its last URL
+  async activateApp(options = {}) {
+    this._ensureInitialized();
+    if (this._isMobile()) {
+      const appId = options.appId ?? this._mobileAppId();
+      this.logger.info('Activating app', { appId });
+      await this.driver.activateApp(appId);
+      return this;
+    }
+
+    if (this._coverPage) {
+      await this._coverPage.close().catch(() => {});
+      this._coverPage = null;
+    }
+    if (this.page.isClosed()) {
+      const url = this.page.url();
+      this.page = await this.context.newPage();
+      this._watchPage(this.page);
+      const target = url && url !== 'about:blank' ? url : this.appId;
+      if (target) await this.page.goto(target);
+      this.logger.info('Page reopened', { url: target });
+    }
+    await this.page.bringToFront();
+    return this;
+  }
+
+  // 'notInstalled' | 'notRunning' | 'backgroundSuspended' | 'background' | 'foreground'
+  async getAppState(options = {}) {
+    this._ensureInitialized();
+    if (this._isMobile()) {
+      const state = await this.driver.queryAppState(options.appId ?? this._mobileAppId());
+      return APP_STATES[state] ?? 'notRunning';
+    }
+
+    if (!this.page || this.page.isClosed()) return 'notRunning';
+    if (this._coverPage && !this._coverPage.isClosed()) return 'background';
+    const visibility = await this.page.evaluate(() => document.visibilityState);
+    return visibility === 'visible' ? 'foreground' : 'background';
+  }
+
+  // Installs a new build over the current one (app data is kept) and relaunches it
+  async upgradeApp(newBuildPath, options = {}) {
+    this._ensureInitialized();
+    if (!this._isMobile()) {
+      this.logger.warn('upgradeApp is only available on mobile');
+      return this;
+    }
+
+    const appId = options.appId ?? this._mobileAppId();
+    if (!(await this.driver.isAppInstalled(appId))) {
+      throw new Error(`Cannot upgrade ${appId}: it is not installed. Use installApp() for a fresh install`);
+    }
+
+    this.logger.info('Upgrading app', { appId, path: newBuildPath });
+    await this.driver.terminateApp(appId);
+    await this.driver.installApp(newBuildPath);
+    await this.driver.activateApp(appId);
+
+    if (options.waitFor) {
+      await this.waitForVisible(options.waitFor, { timeout: options.timeout });
+    } else {
+      // Wait for app to be ready
+      await this.waitFor(2000);
+    }
+    return this;
+  }
+
   // ==================== CLEANUP ====================
 
   async close() {
     this.logger.info('Closing session');
 
+    if (this._trace) {
+      this.logger.warn('Closing with tracing still running; the trace is discarded (call stopTracing() first)');
+      const { rm } = await import('fs/promises');
+      await rm(this._trace.dir, { recursive: true, force: true });
+      this._trace = null;
+    }
+
     try {
       if (this._isMobile()) {
+        this._webView = null;
         await this.driver?.deleteSession();
       } else {
+        if (this._recording) {
+          this.logger.warn('Closing with recording still running; the video is discarded (call stopRecording() first)');
+          const { rm } = await import('fs/promises');
+          await rm(this._recording.dir, { recursive: true, force: true });
+          this._recording = null;
+        }
         await this.page?.close();
         await this.context?.close();
+        await this._savePendingVideos();
         await this.browser?.close();
       }
     } catch (error) {
@@ -1553,11 +3685,12 @@ class DualityTest {
 
   async stopApp() {
     if (this._isMobile()) {
-      if (!this.appId) {
+      const appId = this.driver ? this._mobileAppId() : this.appId;
+      if (!appId) {
         throw new Error('appId is required to stop app');
       }
-      await this.driver.terminateApp(this.appId);
-      this.logger.info('App terminated', { appId: this.appId });
+      await this.driver.terminateApp(appId);
+      this.logger.info('App terminated', { appId });
     }
     return this;
   }
@@ -1567,17 +3700,18 @@ class DualityTest {
 
     try {
       if (this._isMobile()) {
-        if (!this.appId) {
-          throw new Error('appId is required to clear state');
-        }
-
         if (!this.driver) {
           throw new Error('Driver not initialized. Cannot clear state before launch.');
         }
 
+        const appId = this._mobileAppId();
+        if (!appId) {
+          throw new Error('appId is required to clear state');
+        }
+
         // Terminate app if running
         try {
-          await this.driver.terminateApp(this.appId);
+          await this.driver.terminateApp(appId);
         } catch (error) {
           // App might not be running, continue
           this.logger.debug('App termination skipped', { error: error.message });
@@ -1588,7 +3722,7 @@ class DualityTest {
           try {
             await this.driver.execute('mobile: shell', {
               command: 'pm',
-              args: ['clear', this.appId]
+              args: ['clear', appId]
             });
           } catch (error) {
             this.logger.warn('Failed to clear app data via shell', { error: error.message });
@@ -1596,7 +3730,7 @@ class DualityTest {
         }
 
         // Relaunch app
-        await this.driver.activateApp(this.appId);
+        await this.driver.activateApp(appId);
         // Wait for app to be ready
         await this.waitFor(2000);
 
@@ -1676,8 +3810,8 @@ class DualityTest {
       return;
     }
 
-    const adbPath = join(androidHome, 'platform-tools', 'adb');
-    if (!existsSync(adbPath)) {
+    const adbPath = this._findAdb();
+    if (!adbPath) {
       this.logger.warn('Cannot clean Appium servers: ADB not found');
       return;
     }
@@ -1708,6 +3842,24 @@ class DualityTest {
     }
   }
 
+  _findAdb() {
+    const androidHome = this._detectAndroidHome() || process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT;
+    if (androidHome) {
+      const adbPath = join(androidHome, 'platform-tools', process.platform === 'win32' ? 'adb.exe' : 'adb');
+      if (existsSync(adbPath)) {
+        return adbPath;
+      }
+    }
+
+    // Fall back to an adb available on PATH
+    try {
+      execSync('adb version', { stdio: 'ignore', timeout: 5000 });
+      return 'adb';
+    } catch (error) {
+      return null;
+    }
+  }
+
   _getAndroidHomeError() {
     const detectedPath = this._detectAndroidHome();
     const home = homedir();
@@ -1762,6 +3914,31 @@ class DualityTest {
     }
   }
 
+  async _getAccessibleName(selector) {
+    if (this._inWebView()) {
+      return await this.getAttribute(selector, 'aria-label') || (await this.getText(selector)).trim();
+    }
+    if (this.platform === 'android') {
+      // content-desc wins over visible text, like aria-label on web
+      const description = await this.getAttribute(selector, 'content-desc');
+      return description || await this.getAttribute(selector, 'text');
+    }
+    return await this.getAttribute(selector, 'label');
+  }
+
+  async _getViewportRatio(selector) {
+    const element = await this._toMobileElement(selector);
+    const location = await element.getLocation();
+    const size = await element.getSize();
+    const window = await this.driver.getWindowSize();
+
+    const visibleWidth = Math.min(location.x + size.width, window.width) - Math.max(location.x, 0);
+    const visibleHeight = Math.min(location.y + size.height, window.height) - Math.max(location.y, 0);
+    const area = size.width * size.height;
+    if (area <= 0 || visibleWidth <= 0 || visibleHeight <= 0) return 0;
+    return (visibleWidth * visibleHeight) / area;
+  }
+
   _toLocator(selector) {
     this._ensureInitialized();
     if (typeof selector === 'string') {
@@ -1782,15 +3959,887 @@ class DualityTest {
     throw new Error('Invalid selector for mobile');
   }
 
+  _buildRoleSelectors(role, options = {}) {
+    const mapping = MOBILE_ROLES[role]?.[this.platform];
+    if (!mapping) {
+      throw new Error(`Unsupported role "${role}" on ${this.platform}. Supported roles: ${Object.keys(MOBILE_ROLES).join(', ')}`);
+    }
+
+    const name = options.name;
+    const matching = { exact: options.exact ?? false, ignoreCase: options.ignoreCase };
+
+    if (this.platform === 'android') {
+      if (mapping.classes.length === 0 && !mapping.fallback) {
+        throw new Error(`Role "${role}" has no native equivalent on android`);
+      }
+
+      // XPath 1.0 has no regex, so regex names use UiSelector (one strategy per attribute)
+      if (name instanceof RegExp) {
+        const states = [];
+        if (options.checked !== undefined) states.push(`.checked(${Boolean(options.checked)})`);
+        if (options.selected !== undefined) states.push(`.selected(${Boolean(options.selected)})`);
+        if (options.disabled !== undefined) states.push(`.enabled(${!options.disabled})`);
+
+        const types = [];
+        if (mapping.classes.length > 0) {
+          const classPattern = `^(${mapping.classes.map(className => className.replace(/[.$]/g, '\\$&')).join('|')})$`;
+          types.push(SelectorBuilder.uiSelector('className', new RegExp(classPattern)));
+        }
+        if (mapping.fallback) {
+          types.push(`${mapping.fallback}(true)`);
+        }
+
+        return types.flatMap(type => ['text', 'description'].map(attribute =>
+          `android=new UiSelector().${type}.${SelectorBuilder.uiSelector(attribute, name, matching)}${states.join('')}`));
+      }
+
+      // XPath lets the name match either visible text or content-desc
+      const conditions = [];
+      if (name !== undefined) conditions.push(SelectorBuilder.xpath(['text', 'content-desc'], name, matching));
+      if (options.checked !== undefined) conditions.push(`@checked="${Boolean(options.checked)}"`);
+      if (options.selected !== undefined) conditions.push(`@selected="${Boolean(options.selected)}"`);
+      if (options.disabled !== undefined) conditions.push(`@enabled="${!options.disabled}"`);
+
+      const toXPath = typeCondition => `//*[${[typeCondition, ...conditions].join(' and ')}]`;
+
+      const strategies = [];
+      if (mapping.classes.length > 0) {
+        strategies.push(toXPath(`(${mapping.classes.map(className => `@class=${SelectorBuilder.xpathLiteral(className)}`).join(' or ')})`));
+      }
+      if (mapping.fallback) {
+        strategies.push(toXPath(`@${mapping.fallback}="true"`));
+      }
+      return strategies;
+    }
+
+    // iOS: predicate string
+    const conditions = [`type IN {${mapping.types.map(type => `"${type}"`).join(', ')}}`];
+    if (mapping.traits) conditions.push(`traits CONTAINS "${mapping.traits}"`);
+    if (name !== undefined) conditions.push(SelectorBuilder.predicate(['label', 'name'], name, matching));
+    if (options.checked !== undefined) conditions.push(`value == "${options.checked ? 1 : 0}"`);
+    if (options.selected !== undefined) conditions.push(`selected == ${options.selected ? 1 : 0}`);
+    if (options.disabled !== undefined) conditions.push(`enabled == ${options.disabled ? 0 : 1}`);
+    return [`-ios predicate string:${conditions.join(' AND ')}`];
+  }
+
+  // Selectors with Playwright's getBy* semantics, resolved against the WebView's DOM
+  _webViewLocator(kind, value, options = {}) {
+    // Like Playwright: substring and case-insensitive unless exact
+    const matching = { ...options, ignoreCase: options.ignoreCase ?? !options.exact };
+    const text = expected => SelectorBuilder.xpathNodes(['normalize-space(.)'], expected, matching);
+    const index = options.index ?? null;
+
+    switch (kind) {
+      case 'testId':
+        return this._createMobileLocator(`[data-testid=${SelectorBuilder.cssString(value)}]`, 'css');
+      case 'id':
+        return this._createMobileLocator(`[id=${SelectorBuilder.cssString(value)}]`, 'css');
+      case 'text':
+        // The innermost element whose text matches, skipping non-rendered ones
+        return this._createMobileLocator(
+          `//*[not(self::script or self::style or self::head or self::title)][${text(value)}][not(.//*[${text(value)}])]`,
+          'xpath', null, index);
+      case 'placeholder':
+        return this._createMobileLocator(`//*[${SelectorBuilder.xpathNodes(['@placeholder'], value, matching)}]`, 'xpath');
+      case 'label': {
+        const control = 'self::input or self::textarea or self::select';
+        return this._createMobileLocator(
+          `//*[${SelectorBuilder.xpathNodes(['@aria-label'], value, matching)} or @aria-labelledby = //*[${text(value)}]/@id` +
+          ` or @id = //label[${text(value)}]/@for or ((${control}) and ancestor::label[${text(value)}])]`,
+          'xpath');
+      }
+      case 'role': {
+        if (!(value in DOM_ROLES)) {
+          throw new Error(`Unsupported role "${value}" in a WebView. Supported roles: ${Object.keys(DOM_ROLES).join(', ')}`);
+        }
+        const role = SelectorBuilder.xpathLiteral(value);
+        const conditions = [DOM_ROLES[value] ? `(@role=${role} or (not(@role) and (${DOM_ROLES[value]})))` : `@role=${role}`];
+        if (options.name !== undefined) {
+          conditions.push(SelectorBuilder.xpathNodes(['@aria-label', 'normalize-space(.)', '@alt', '@title', '@value'], options.name, matching));
+        }
+        const states = { checked: ['@checked', "@aria-checked='true'"], disabled: ['@disabled', "@aria-disabled='true'"],
+          selected: ['@selected', "@aria-selected='true'"], expanded: ["@aria-expanded='true'"], pressed: ["@aria-pressed='true'"] };
+        for (const [state, tests] of Object.entries(states)) {
+          if (options[state] === undefined) continue;
+          const condition = tests.join(' or ');
+          conditions.push(options[state] ? `(${condition})` : `not(${condition})`);
+        }
+        if (options.level !== undefined) {
+          conditions.push(`(self::h${Number(options.level)} or @aria-level='${Number(options.level)}')`);
+        }
+        return this._createMobileLocator(`//*[${conditions.join(' and ')}]`, 'xpath', null, index);
+      }
+      default:
+        throw new Error(`Unknown WebView selector kind: ${kind}`);
+    }
+  }
+
+  _createMobileLocator(selector, type, fallbackStrategies = null, index = null) {
+    const locator = new MobileLocator(this.driver, selector, type, fallbackStrategies, index);
+    locator.app = this;
+    return locator;
+  }
+
   _selectorToString(selector) {
     if (typeof selector === 'string') return selector;
-    if (selector instanceof MobileLocator) return `${selector.type}:${selector.selector}`;
+    if (selector instanceof MobileLocator) return selector.toString();
     if (selector?._selector) return selector._selector;
     return 'unknown';
   }
+
+  async _runStep(step, fn) {
+    const [target] = step.args;
+    let selector = '';
+    if (typeof target === 'string' || target instanceof MobileLocator || target?._selector) {
+      selector = this._selectorToString(target);
+    } else if (typeof target === 'number') {
+      selector = String(target);
+    }
+
+    const startTime = Date.now();
+    // id numbers steps across the session, index is the position in the chain
+    const context = { app: this, step: { ...step, selector }, id: ++this._stepCount, startTime };
+    const tracing = this._trace && !['startTracing', 'stopTracing'].includes(step.method) ? this._trace : null;
+    const traceStep = tracing ? await this._traceBefore(tracing, context.step) : null;
+    const healing = !this._isMobile() && target?._healingCandidates ? target : null;
+    try {
+      // Check before the step (a tap may navigate away) and again after it if nothing was attached yet
+      const matched = healing ? await stepContext.run(context, () => this._detectWebHealing(healing)) : true;
+      const result = await stepContext.run(context, fn);
+      if (!matched) {
+        await stepContext.run(context, () => this._detectWebHealing(healing));
+      }
+      if (traceStep) await this._traceAfter(tracing, traceStep, null);
+      stepContext.run(context, () => this.logger.debug('Step passed'));
+      this._emitStep({ ...context.step, status: 'passed', duration: Date.now() - startTime, error: null });
+      return result;
+    } catch (error) {
+      const stepError = this._redactError(this._annotateStepError(error, context.step));
+      if (traceStep) await this._traceAfter(tracing, traceStep, stepError);
+      await this._captureFailureArtifacts(context, stepError);
+      stepContext.run(context, () => this.logger.debug('Step failed', { error: stepError.message }));
+      this._emitStep({ ...context.step, status: 'failed', duration: Date.now() - startTime, error: stepError });
+      throw stepError;
+    }
+  }
+
+  // Saves a screenshot, the UI hierarchy, recent device/browser logs and the last steps,
+  // then lists the files in the error message
+  async _captureFailureArtifacts(context, error) {
+    if (!(error instanceof Error) || error.artifacts) return;
+
+    const files = await this._writeArtifacts(context.step.method, {
+      ...this._describeStep(context.step), status: 'failed', error: error.message
+    });
+    if (!files) return;
+
+    error.artifacts = files;
+    appendErrorMessage(error, `\nArtifacts:\n${Object.entries(files).map(([name, path]) => `  ${name}: ${path}`).join('\n')}`);
+  }
+
+  // Saves a screenshot, the UI hierarchy, recent logs and recent steps (ending with failedStep, if any)
+  async _writeArtifacts(label, failedStep = null) {
+    if (!this.artifacts) return null;
+    if (!this.page && !this.driver) return null;
+
+    const { mkdir, writeFile } = await import('fs/promises');
+    const dir = join(this.artifacts.dir, this._safeFileName(this.testName ?? `${this.platform}-${this._sessionStart}`));
+    const prefix = join(dir, `${++this._failureCount}-${this._safeFileName(label)}`);
+    const files = {};
+
+    try {
+      await mkdir(dir, { recursive: true });
+    } catch (error) {
+      this.logger.warn('Could not create artifacts directory', { dir, error: error.message });
+      return null;
+    }
+
+    const capture = async (name, path, produce) => {
+      try {
+        const content = await produce();
+        if (content !== undefined) await writeFile(path, this._redact(content));
+        files[name] = path;
+      } catch (captureError) {
+        this.logger.warn(`Could not save failure ${name}`, { error: captureError.message });
+      }
+    };
+
+    await capture('screenshot', `${prefix}.png`, () => this._captureScreenshot());
+    await capture('source', `${prefix}${this._isMobile() && !this._inWebView() ? '.xml' : '.html'}`,
+      () => (this._isMobile() ? this.driver.getPageSource() : this.page.content()));
+    await capture('logs', `${prefix}.log`, async () => (await this._getRecentLogs()).join('\n'));
+    await capture('steps', `${prefix}-steps.json`, () => JSON.stringify(
+      failedStep ? [...this._stepHistory, failedStep] : this._stepHistory, null, 2));
+
+    return Object.keys(files).length > 0 ? files : null;
+  }
+
+  async _getRecentLogs(limit = 200) {
+    if (!this._isMobile()) {
+      return this._consoleMessages.slice(-limit);
+    }
+    const type = this.platform === 'android' ? 'logcat' : 'syslog';
+    const entries = await this.driver.getLogs(type);
+    return entries.slice(-limit).map(entry => (
+      typeof entry === 'string' ? entry : `${new Date(entry.timestamp).toISOString()} ${entry.level ?? ''} ${entry.message}`
+    ));
+  }
+
+  // Moves the web session to a new context (cookies, localStorage and the current URL carry over)
+  async _replaceWebContext(extraOptions = {}) {
+    const url = this.page.url();
+    const storageState = await this.context.storageState();
+    const previous = this.context;
+
+    this.context = await this.browser.newContext({ ...this._contextOptions, ...extraOptions, storageState });
+    this.page = await this.context.newPage();
+    this._watchPage(this.page);
+    if (url && url !== 'about:blank') {
+      await this.page.goto(url);
+    }
+    await previous.close();
+  }
+
+  _watchPage(page) {
+    // Keep recent console output for failure artifacts
+    page.on('console', message => this._bufferConsole(`[${message.type()}] ${message.text()}`));
+    page.on('pageerror', error => this._bufferConsole(`[pageerror] ${error.message}`));
+  }
+
+  _bufferConsole(line) {
+    this._consoleMessages.push(`${new Date().toISOString()} ${line}`);
+    if (this._consoleMessages.length > 500) {
+      this._consoleMessages.splice(0, this._consoleMessages.length - 500);
+    }
+  }
+
+  _describeStep(step) {
+    return { index: step.index, total: step.total, method: step.method, selector: step.selector };
+  }
+
+  _safeFileName(name) {
+    return String(name).replace(/[^\w.-]+/g, '_').slice(0, 100);
+  }
+
+  async _detectWebHealing(locator) {
+    const [primary, ...fallbacks] = locator._healingCandidates;
+    try {
+      if (await primary.count() > 0) return true;
+      for (const fallback of fallbacks) {
+        if (await fallback.count() > 0) {
+          await this._recordHealing(primary, fallback);
+          return true;
+        }
+      }
+    } catch (error) {
+      this.logger.debug('Healing check failed', { error: error.message });
+    }
+    return false;
+  }
+
+  async _recordHealing(primary, used) {
+    const context = stepContext.getStore();
+    const key = `${primary} -> ${used}`;
+    let entry = this._healings.get(key);
+    if (!entry) {
+      entry = {
+        platform: this.platform,
+        primary: String(primary),
+        used: String(used),
+        suggestion: this._suggestSelector(used),
+        occurrences: 0,
+        steps: [],
+        contexts: new WeakSet()
+      };
+      this._healings.set(key, entry);
+      this.logger.warn('Selector healed by fallback', { primary: entry.primary, used: entry.used });
+    }
+
+    // Polling assertions resolve the same locator many times; count each step once
+    const occurrence = context ?? entry;
+    if (entry.contexts.has(occurrence)) return;
+    entry.contexts.add(occurrence);
+    entry.occurrences++;
+    if (context && !entry.steps.includes(context.step.method)) {
+      entry.steps.push(context.step.method);
+    }
+
+    if (this.healingReport) {
+      try {
+        const { mkdir, writeFile } = await import('fs/promises');
+        await mkdir(dirname(this.healingReport) || '.', { recursive: true });
+        await writeFile(this.healingReport, JSON.stringify({
+          updatedAt: new Date().toISOString(),
+          healings: this.getHealingReport()
+        }, null, 2));
+      } catch (error) {
+        this.logger.warn('Could not write healing report', { path: this.healingReport, error: error.message });
+      }
+    }
+  }
+
+  // A selector string that targets what the fallback found, ready to replace the primary
+  _suggestSelector(locator) {
+    if (locator instanceof MobileLocator && locator._isSimple()) {
+      return locator._strategySelector();
+    }
+    return String(locator);
+  }
+
+  _emitStep(result) {
+    result = { ...result, selector: this._redact(result.selector), args: this._redact(result.args) };
+    this._stepHistory.push({
+      ...this._describeStep(result),
+      status: result.status,
+      duration: result.duration,
+      ...(result.error ? { error: result.error.message } : {})
+    });
+    const limit = this.artifacts?.lastSteps ?? 20;
+    if (this._stepHistory.length > limit) {
+      this._stepHistory.splice(0, this._stepHistory.length - limit);
+    }
+
+    for (const listener of this._stepListeners) {
+      try {
+        listener(result);
+      } catch (error) {
+        this.logger.warn('Step listener failed', { error: error.message });
+      }
+    }
+  }
+
+  // Secrets in strings, arrays and plain objects become ***; anything else is returned as is
+  _redact(value) {
+    // Very short detected values would mask unrelated text everywhere; registered ones are always masked
+    const secrets = [
+      ...[...this._secrets].filter(item => item.length > 0),
+      ...[...this._detectedSecrets].filter(item => item.length >= 3)
+    ];
+    if (secrets.length === 0) return value;
+    secrets.sort((a, b) => b.length - a.length);
+
+    const scrub = item => {
+      if (typeof item === 'string') {
+        return secrets.reduce((text, value) => text.split(value).join(SECRET_MASK), item);
+      }
+      if (Array.isArray(item)) return item.map(scrub);
+      if (item && Object.getPrototypeOf(item) === Object.prototype) {
+        return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, scrub(entry)]));
+      }
+      return item;
+    };
+    return scrub(value);
+  }
+
+  _redactError(error) {
+    if (!(error instanceof Error)) return error;
+    const stack = error.stack;
+    error.message = this._redact(error.message);
+    if (typeof stack === 'string') {
+      error.stack = this._redact(stack);
+    }
+    return error;
+  }
+
+  _annotateStepError(error, step) {
+    // Keep the original error object (Playwright attaches matcher details to it)
+    if (!(error instanceof Error) || error.step) return error;
+
+    const target = step.selector ? `'${step.selector}'` : '';
+    const session = this.sessionName ? `[${this.sessionName}] ` : '';
+    const original = error.message;
+    // V8 formats the stack lazily, so read it before the message changes
+    const stack = error.stack;
+    error.message = `${session}Step ${step.index}/${step.total} ${step.method}(${target}) failed: ${original}`;
+    if (typeof stack === 'string') {
+      error.stack = stack.replace(original, error.message);
+    }
+    error.step = { index: step.index, total: step.total, method: step.method, selector: step.selector };
+    if (this.sessionName) {
+      error.step.session = this.sessionName;
+    }
+    return error;
+  }
+}
+
+// Turn every public async method into a chain entry point:
+// app.tapOn(a).fill(b, 'x').toBeVisible(c) queues three steps and runs them on await.
+for (const name of Object.getOwnPropertyNames(DualityTest.prototype)) {
+  const impl = DualityTest.prototype[name];
+  if (name.startsWith('_') || impl?.constructor?.name !== 'AsyncFunction') continue;
+
+  actionImplementations.set(name, impl);
+
+  DualityTest.prototype[name] = function (...args) {
+    // Calls made from inside a running step (e.g. tapOnWithRetry -> tapOn) run inline
+    if (stepContext.getStore()?.app === this) {
+      return impl.apply(this, args);
+    }
+    return new ActionChain(this)[name](...args);
+  };
+
+  ActionChain.prototype[name] = function (...args) {
+    return this._enqueue(name, args);
+  };
+}
+
+// Maestro-style YAML flow interpreter built on the DualityTest command set
+class FlowRunner {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.logger = app.logger;
+    this.launchOptions = options.launchOptions || {};
+    this.onStep = options.onStep || null;
+    this.steps = [];
+  }
+
+  async run(file, options = {}) {
+    const startTime = Date.now();
+    this.steps = [];
+    let error = null;
+
+    try {
+      await this._runFile(resolve(file), { ...this.app.env, ...options.env }, 0);
+    } catch (e) {
+      error = e;
+    }
+
+    const report = {
+      file,
+      passed: !error,
+      duration: Date.now() - startTime,
+      steps: this.steps,
+      error
+    };
+
+    if (error) {
+      this.logger.error('Flow failed', { file, error: error.message });
+    } else {
+      this.logger.info('Flow passed', { file, steps: this.steps.length, duration: report.duration });
+    }
+    return report;
+  }
+
+  // The flow's header (appId, env), e.g. to launch the app before running the flow
+  async readHeader(file) {
+    return (await this._loadFlow(resolve(file))).header;
+  }
+
+  async _loadFlow(file) {
+    const fs = await import('fs/promises');
+    const { parseAllDocuments } = await import('yaml');
+
+    const source = await fs.readFile(file, 'utf8');
+    const documents = parseAllDocuments(source).map(document => {
+      if (document.errors.length > 0) {
+        throw new Error(`Invalid YAML in ${file}: ${document.errors[0].message}`);
+      }
+      return document.toJS();
+    });
+
+    // A flow is "header --- commands"; the header (appId, env) is optional
+    const header = documents.length > 1 ? documents[0] || {} : {};
+    const commands = documents[documents.length - 1] || [];
+    if (!Array.isArray(commands)) {
+      throw new Error(`Flow ${file} must contain a list of commands`);
+    }
+    return { header, commands };
+  }
+
+  // stack: files of the runFlow chain that led here, to catch flows that include themselves
+  async _runFile(file, env, depth, stack = []) {
+    if (stack.includes(file)) {
+      const chain = [...stack.slice(stack.indexOf(file)), file].map(item => basename(item)).join(' -> ');
+      throw new Error(`Circular runFlow: ${chain}`);
+    }
+    const { header, commands } = await this._loadFlow(file);
+
+    if (header.appId && !this.app.appId) {
+      this.app.appId = header.appId;
+    }
+
+    // Header env holds defaults; values passed in by the caller win
+    const scope = { file, dir: dirname(file), env: { ...header.env, ...env }, depth, stack: [...stack, file] };
+    await this._runCommands(commands, scope);
+  }
+
+  async _runCommands(commands, scope) {
+    for (const command of commands) {
+      await this._runCommand(command, scope);
+    }
+  }
+
+  async _runCommand(command, scope) {
+    const { name, args } = this._parseCommand(command, scope.env);
+    const step = {
+      index: this.steps.length + 1,
+      flow: basename(scope.file),
+      depth: scope.depth,
+      command: name,
+      description: this.app._redact(this._describe(name, args)),
+      status: 'running',
+      duration: 0,
+      error: null,
+      artifacts: null
+    };
+    this.steps.push(step);
+
+    const startTime = Date.now();
+    try {
+      const executed = await this._execute(name, args, scope);
+      step.status = executed === false ? 'skipped' : 'passed';
+    } catch (error) {
+      step.error = error.message;
+      step.artifacts = error.artifacts ?? null;
+      if (args?.optional) {
+        step.status = 'warned';
+        this.logger.warn(`Optional flow step failed: ${step.description}`, { error: error.message });
+      } else {
+        step.status = 'failed';
+        error.flowStep = step;
+        throw error;
+      }
+    } finally {
+      step.duration = Date.now() - startTime;
+      this.logger.info(`Flow step ${step.status}: ${step.description}`, { flow: step.flow, duration: step.duration });
+      if (this.onStep) this.onStep(step);
+    }
+  }
+
+  _parseCommand(command, env) {
+    if (typeof command === 'string') {
+      return { name: command, args: undefined };
+    }
+    if (!command || typeof command !== 'object') {
+      throw new Error(`Invalid flow command: ${JSON.stringify(command)}`);
+    }
+
+    const [name] = Object.keys(command);
+    let args = command[name];
+
+    // Nested command lists are interpolated when they run, with their own env
+    if (args && typeof args === 'object' && !Array.isArray(args) && args.commands) {
+      const { commands, ...rest } = args;
+      args = { ...this._interpolate(rest, env), commands };
+    } else {
+      args = this._interpolate(args, env);
+    }
+    return { name, args };
+  }
+
+  _interpolate(value, env) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{(\w+)\}/g, (match, key) => (key in env ? String(env[key]) : match));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._interpolate(item, env));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._interpolate(item, env)]));
+    }
+    return value;
+  }
+
+  _describe(name, args) {
+    if (args === undefined || args === null) return name;
+    if (typeof args !== 'object') return `${name} ${JSON.stringify(args)}`;
+    const { commands, ...rest } = args;
+    const detail = JSON.stringify(rest);
+    return detail === '{}' ? name : `${name} ${detail}`;
+  }
+
+  _toSelector(spec) {
+    if (typeof spec === 'string') {
+      return this.app.getByText(spec);
+    }
+    if (spec?.id) {
+      return this.app.getByTestId(spec.id);
+    }
+    if (spec?.text) {
+      return this.app.getByText(spec.text, { index: spec.index });
+    }
+    throw new Error(`Unsupported flow selector: ${JSON.stringify(spec)}`);
+  }
+
+  async _toPoint(point) {
+    const [x, y] = String(point).split(',').map(value => value.trim());
+    let size = { width: 0, height: 0 };
+    if (x.endsWith('%') || y.endsWith('%')) {
+      size = this.app._isMobile() ? await this.app.driver.getWindowSize() : this.app.page.viewportSize();
+    }
+    const toPixels = (value, total) => (value.endsWith('%') ? (parseFloat(value) / 100) * total : parseFloat(value));
+    return { x: toPixels(x, size.width), y: toPixels(y, size.height) };
+  }
+
+  async _conditionMet(condition = {}) {
+    if (condition.platform && condition.platform.toLowerCase() !== this.app.platform) {
+      return false;
+    }
+    if (condition.visible && !(await this.app.isVisible(this._toSelector(condition.visible)))) {
+      return false;
+    }
+    if (condition.notVisible && await this.app.isVisible(this._toSelector(condition.notVisible))) {
+      return false;
+    }
+    return true;
+  }
+
+  async _execute(name, args, scope) {
+    const app = this.app;
+    const options = args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+
+    switch (name) {
+      case 'launchApp': {
+        const initialized = app._isMobile() ? app.driver : app.page;
+        if (!initialized) {
+          await app.launch({ ...this.launchOptions, clearState: options.clearState ?? this.launchOptions.clearState });
+        } else if (options.clearState) {
+          await app.clearState();
+        } else {
+          await app.reload();
+        }
+        return;
+      }
+      case 'stopApp':
+        return await app.stopApp();
+      case 'clearState':
+        return await app.clearState();
+      case 'clearKeychain':
+        return await app.clearKeychain();
+      case 'openLink':
+        return await app.openLink(typeof args === 'string' ? args : options.link, {
+          appId: options.appId,
+          waitFor: options.waitFor === undefined ? undefined : this._toSelector(options.waitFor)
+        });
+      case 'back':
+        return await app.back();
+      case 'hideKeyboard':
+        return await app.hideKeyboard();
+      case 'pressKey':
+        if (String(args).toLowerCase() === 'back') return await app.back();
+        return await app.press(args);
+      case 'tapOn':
+        if (options.point) {
+          const { x, y } = await this._toPoint(options.point);
+          return await app.tapAtCoordinates(x, y);
+        }
+        return await app.tapOn(this._toSelector(args));
+      case 'doubleTapOn':
+        return await app.doubleTapOn(this._toSelector(args));
+      case 'longPressOn':
+        return await app.longPress(this._toSelector(args));
+      case 'inputText':
+        return await app.inputText(String(typeof args === 'object' ? options.text : args));
+      case 'eraseText': {
+        const count = typeof args === 'number' ? args : options.charactersToErase ?? 50;
+        return await app.eraseText(app._isMobile() ? null : 'input:focus, textarea:focus', count);
+      }
+      case 'copyTextFrom':
+        return await app.copyTextFrom(this._toSelector(args));
+      case 'pasteText':
+        return await app.pasteText();
+      case 'assertVisible':
+        return await app.toBeVisible(this._toSelector(args));
+      case 'assertNotVisible':
+        return await app.toBeHidden(this._toSelector(args));
+      case 'scroll':
+        return await app.scroll({ direction: options.direction?.toLowerCase() });
+      case 'scrollUntilVisible':
+        return await app.scrollUntilVisible(this._toSelector(options.element), {
+          direction: options.direction?.toLowerCase(),
+          maxScrolls: options.maxScrolls
+        });
+      case 'swipe':
+        return await app.swipe((options.direction || args).toLowerCase());
+      case 'extendedWaitUntil':
+        return await app.extendedWaitUntil({
+          visible: options.visible && this._toSelector(options.visible),
+          notVisible: options.notVisible && this._toSelector(options.notVisible),
+          timeout: options.timeout
+        });
+      case 'waitForAnimationToEnd':
+        return await app.waitFor(options.timeout ?? 1000);
+      case 'takeScreenshot':
+        return await app.screenshot({ path: `${typeof args === 'string' ? args : options.path}.png` });
+      case 'setLocation':
+        return await app.setLocation(options.latitude, options.longitude);
+      case 'runScript': {
+        const fs = await import('fs/promises');
+        const source = await fs.readFile(resolve(scope.dir, typeof args === 'string' ? args : options.file), 'utf8');
+        await app.runScript(source);
+        return;
+      }
+      case 'evalScript':
+        // Maestro wraps inline scripts as ${...}
+        await app.evalScript(String(args).replace(/^\$\{([\s\S]*)\}$/, '$1'));
+        return;
+      case 'runFlow': {
+        if (options.when && !(await this._conditionMet(options.when))) {
+          return false;
+        }
+        const env = { ...scope.env, ...options.env };
+        if (options.commands) {
+          return await this._runCommands(options.commands, { ...scope, env, depth: scope.depth + 1 });
+        }
+        const file = resolve(scope.dir, typeof args === 'string' ? args : options.file);
+        return await this._runFile(file, env, scope.depth + 1, scope.stack);
+      }
+      case 'repeat': {
+        if (options.times === undefined && !options.while) {
+          throw new Error('repeat requires "times" or "while"');
+        }
+        const times = options.times ?? Infinity;
+        for (let i = 0; i < times; i++) {
+          if (options.while && !(await this._conditionMet(options.while))) break;
+          await this._runCommands(options.commands || [], { ...scope, depth: scope.depth + 1 });
+        }
+        return;
+      }
+      default:
+        throw new Error(`Unsupported flow command: ${name}`);
+    }
+  }
+}
+
+// Named DualityTest sessions that run side by side in one test (web admin + mobile app, two devices...)
+class SessionManager {
+  // config: options shared by every session (env is merged with each session's env)
+  constructor(config = {}) {
+    this.config = config;
+    this.sessions = {}; // name -> DualityTest
+    this.logger = new Logger({
+      enableLogging: config.enableLogging,
+      logLevel: config.logLevel || 'info',
+      sinks: config.logSinks
+    });
+  }
+
+  get names() {
+    return Object.keys(this.sessions);
+  }
+
+  get(name) {
+    const app = this.sessions[name];
+    if (!app) {
+      throw new Error(`Unknown session "${name}". Sessions: ${this.names.join(', ') || 'none'}`);
+    }
+    return app;
+  }
+
+  // config: DualityTest options plus `launch` (options for launch())
+  async launch(name, config = {}) {
+    if (this.sessions[name]) {
+      throw new Error(`Session "${name}" is already running`);
+    }
+
+    const { launch = {}, ...options } = config;
+    const app = new DualityTest({
+      ...this.config,
+      ...options,
+      env: { ...this.config.env, ...options.env },
+      testName: options.testName ?? [this.config.testName, name].filter(Boolean).join('-'),
+      sessionName: name
+    });
+
+    // Devices driven by one Appium server need their own driver ports
+    const index = Object.values(this.sessions).filter(other => other.platform === app.platform).length;
+    const ports = { android: { 'appium:systemPort': 8200 + index }, ios: { 'appium:wdaLocalPort': 8100 + index } }[app.platform];
+    this.sessions[name] = app;
+
+    try {
+      await app.launch(index > 0 && ports ? { ...launch, capabilities: { ...ports, ...launch.capabilities } } : launch);
+    } catch (error) {
+      delete this.sessions[name];
+      await app.close();
+      throw error;
+    }
+    this.logger.info('Session launched', { session: name, platform: app.platform });
+    return app;
+  }
+
+  // sessions: { name: config }, launched in parallel; if one fails, every session is closed
+  async launchAll(sessions) {
+    const results = await Promise.allSettled(Object.entries(sessions).map(([name, config]) => this.launch(name, config)));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      await this.closeAll();
+      throw failed.reason;
+    }
+    return this.sessions;
+  }
+
+  // actions: { name: app => ... }, run concurrently. Every action settles before the first failure is thrown
+  async parallel(actions) {
+    const entries = Object.entries(actions);
+    const results = await Promise.allSettled(entries.map(([name, action]) => {
+      const app = this.get(name);
+      return Promise.resolve().then(() => action(app));
+    }));
+
+    const failures = results.filter(result => result.status === 'rejected');
+    for (const extra of failures.slice(1)) {
+      this.logger.warn('Another parallel action failed', { error: extra.reason?.message ?? String(extra.reason) });
+    }
+    if (failures.length > 0) throw failures[0].reason;
+    return Object.fromEntries(entries.map(([name], index) => [name, results[index].value]));
+  }
+
+  async setEnv(key, value) {
+    this.config.env = { ...this.config.env, [key]: value };
+    for (const app of Object.values(this.sessions)) {
+      await app.setEnv(key, value);
+    }
+    return this;
+  }
+
+  // Runs the test body with the sessions; on failure every session saves artifacts, and all are closed
+  async run(test) {
+    try {
+      return await test(this.sessions);
+    } catch (error) {
+      await this.collectArtifacts(error);
+      throw error;
+    } finally {
+      await this.closeAll();
+    }
+  }
+
+  // Saves failure artifacts from every session; the session whose step failed has already saved its own
+  async collectArtifacts(error) {
+    if (!(error instanceof Error) || error.sessionArtifacts) return;
+
+    const failing = error.step?.session ?? null;
+    error.sessionArtifacts = {};
+    if (failing && error.artifacts) {
+      error.sessionArtifacts[failing] = error.artifacts;
+    }
+
+    const lines = [];
+    for (const [name, app] of Object.entries(this.sessions)) {
+      if (error.sessionArtifacts[name]) continue;
+      const files = await app._writeArtifacts(failing ? `${failing}-failed` : 'test-failed');
+      if (!files) continue;
+      error.sessionArtifacts[name] = files;
+      lines.push(`Artifacts (${name}):`, ...Object.entries(files).map(([file, path]) => `  ${file}: ${path}`));
+    }
+    if (lines.length > 0) {
+      appendErrorMessage(error, `\n${lines.join('\n')}`);
+    }
+  }
+
+  async closeAll() {
+    const apps = Object.entries(this.sessions);
+    this.sessions = {};
+    await Promise.allSettled(apps.map(([, app]) => app.close()));
+    if (apps.length > 0) {
+      this.logger.info('Sessions closed', { sessions: apps.map(([name]) => name) });
+    }
+  }
 }
 
 export default DualityTest;
+export { ActionChain, FlowRunner, MobileLocator, SelectorBuilder, SessionManager, ConsoleSink, JsonLinesSink, MemorySink, Secret, secret };
+export { FakeDriver } from './fake-driver.js';
 
 /* ==================== USAGE EXAMPLES ==================== */
 
@@ -0,0 +1,1501 @@
+// fake-driver.js - In-memory Appium driver that answers from a UI hierarchy dump
+//
+// Loads an Android `uiautomator dump` / Appium page source or an iOS XCUI page source
+// and resolves selectors against it, so page objects, selectors and assertions
+// can be tested without Appium or a device.
+
+import { readFile, writeFile } from 'fs/promises';
+
+// ==================== XML ====================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function encodeEntities(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const HTML_VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Minimal XML parser: elements and attributes only (text content, comments and declarations are skipped).
+// options.html parses WebView pages: void elements need no closing tag, boolean attributes are allowed
+// and each element keeps its text content (all descendant text, like the DOM's textContent) in node.text.
+function parseXml(xml, options = {}) {
+  const document = { tag: '#document', attributes: {}, children: [], parent: null };
+  const stack = [document];
+  const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+  const attributePattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+  let match;
+  let textStart = 0;
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const [, closing, tag, attributeSource, selfClosing] = match;
+    if (options.html) {
+      const text = decodeEntities(xml.slice(textStart, match.index));
+      for (const node of stack.slice(1)) node.text += text;
+      textStart = tagPattern.lastIndex;
+    }
+    if (closing) {
+      // Unclosed elements inside the closed one end with it
+      const name = options.html ? closing.toLowerCase() : closing;
+      const index = stack.findLastIndex(node => node.tag === name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+    if (!tag) continue;
+
+    const attributes = {};
+    let attribute;
+    while ((attribute = attributePattern.exec(attributeSource)) !== null) {
+      if (!options.html && attribute[2] === undefined && attribute[3] === undefined) continue;
+      attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? '');
+    }
+
+    const parent = stack[stack.length - 1];
+    const name = options.html ? tag.toLowerCase() : tag;
+    const node = { tag: name, attributes, children: [], parent };
+    if (options.html) node.text = '';
+    parent.children.push(node);
+    if (!selfClosing && !(options.html && HTML_VOID_ELEMENTS.includes(name))) stack.push(node);
+  }
+
+  if (document.children.length === 0) {
+    throw new Error('FakeDriver: the UI hierarchy has no elements');
+  }
+  return document;
+}
+
+function serializeXml(node, depth = 0) {
+  const padding = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes).map(([name, value]) => ` ${name}="${encodeEntities(value)}"`).join('');
+  if (node.children.length === 0) return `${padding}<${node.tag}${attributes}/>`;
+  const children = node.children.map(child => serializeXml(child, depth + 1)).join('\n');
+  return `${padding}<${node.tag}${attributes}>\n${children}\n${padding}</${node.tag}>`;
+}
+
+function* descendants(node) {
+  for (const child of node.children) {
+    yield child;
+    yield* descendants(child);
+  }
+}
+
+function ancestors(node) {
+  const result = [];
+  for (let current = node.parent; current && current.tag !== '#document'; current = current.parent) {
+    result.push(current);
+  }
+  return result;
+}
+
+// ==================== MATCHING HELPERS ====================
+
+// Java / ICU regex (UiSelector *Matches, predicate MATCHES) to a JS RegExp that must match the whole value
+function javaRegex(source) {
+  let flags = '';
+  let body = source;
+  const inline = body.match(/^\(\?([a-z]+)\)/);
+  if (inline) {
+    flags = [...new Set(inline[1].split('').filter(flag => 'ims'.includes(flag)))].join('');
+    body = body.slice(inline[0].length);
+  }
+  body = body.replace(/\\Q([\s\S]*?)(?:\\E|$)/g, (match, literal) => literal.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+  return new RegExp(`^(?:${body})$`, flags);
+}
+
+function boundsOf(node, platform) {
+  const attributes = node.attributes;
+  if (platform === 'ios') {
+    return {
+      x: Number(attributes.x ?? 0),
+      y: Number(attributes.y ?? 0),
+      width: Number(attributes.width ?? 0),
+      height: Number(attributes.height ?? 0)
+    };
+  }
+  const match = (attributes.bounds || '').match(/\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]/);
+  if (!match) {
+    // The <hierarchy> root of uiautomator dumps has width/height instead of bounds
+    return { x: 0, y: 0, width: Number(attributes.width ?? 0), height: Number(attributes.height ?? 0) };
+  }
+  const [x1, y1, x2, y2] = match.slice(1).map(Number);
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+// ==================== XPATH (1.0 subset) ====================
+
+class XPathEvaluator {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = XPathEvaluator.tokenize(expression);
+    this.position = 0;
+    this.ast = this.parseExpression();
+    if (this.position < this.tokens.length) {
+      throw new Error(`FakeDriver: unsupported XPath "${expression}" near "${this.tokens[this.position].value}"`);
+    }
+  }
+
+  static tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(\/\/|\/|\.\.|\.(?![\w])|\(|\)|\[|\]|,|!=|=|<=|>=|<|>|\||@|\*|"[^"]*"|'[^']*'|\d+(?:\.\d+)?|[A-Za-z_][\w.\-]*(?:::)?)/y;
+    let match;
+    while (pattern.lastIndex < expression.length) {
+      const start = pattern.lastIndex;
+      match = pattern.exec(expression);
+      if (!match) {
+        if (/^\s*$/.test(expression.slice(start))) break;
+        throw new Error(`FakeDriver: cannot parse XPath "${expression}" at ${start}`);
+      }
+      const value = match[1];
+      let type = 'symbol';
+      if (value[0] === '"' || value[0] === "'") type = 'string';
+      else if (/^\d/.test(value)) type = 'number';
+      else if (/^[A-Za-z_]/.test(value)) type = 'name';
+      tokens.push({ type, value });
+    }
+    return tokens;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  accept(value) {
+    if (this.peek()?.value === value) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) {
+      throw new Error(`FakeDriver: expected "${value}" in XPath "${this.expression}"`);
+    }
+  }
+
+  parseExpression() {
+    let left = this.parseAnd();
+    while (this.peek()?.type === 'name' && this.peek().value === 'or') {
+      this.position++;
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.peek()?.type === 'name' && this.peek().value === 'and') {
+      this.position++;
+      left = { type: 'and', left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    let left = this.parseUnion();
+    while (['=', '!=', '<', '>', '<=', '>='].includes(this.peek()?.value)) {
+      const operator = this.tokens[this.position++].value;
+      left = { type: 'compare', operator, left, right: this.parseUnion() };
+    }
+    return left;
+  }
+
+  parseUnion() {
+    let left = this.parsePrimary();
+    while (this.accept('|')) {
+      left = { type: 'union', left, right: this.parsePrimary() };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw new Error(`FakeDriver: unexpected end of XPath "${this.expression}"`);
+
+    if (token.type === 'string') {
+      this.position++;
+      return { type: 'literal', value: token.value.slice(1, -1) };
+    }
+    if (token.type === 'number') {
+      this.position++;
+      return { type: 'number', value: Number(token.value) };
+    }
+    if (token.value === '@') {
+      this.position++;
+      return { type: 'attribute', name: this.tokens[this.position++].value };
+    }
+    if (token.value === '(') {
+      this.position++;
+      const inner = this.parseExpression();
+      this.expect(')');
+      const predicates = this.parsePredicates();
+      const filtered = predicates.length > 0 ? { type: 'filter', expression: inner, predicates } : inner;
+      return this.parseTrailingSteps(filtered);
+    }
+    // Function call (text() is a node test, handled as a function returning the text)
+    if (token.type === 'name' && this.peek(1)?.value === '(' && !['node'].includes(token.value)) {
+      this.position += 2;
+      const args = [];
+      if (!this.accept(')')) {
+        do {
+          args.push(this.parseExpression());
+        } while (this.accept(','));
+        this.expect(')');
+      }
+      return { type: 'function', name: token.value, args };
+    }
+    return this.parsePath();
+  }
+
+  parsePredicates() {
+    const predicates = [];
+    while (this.accept('[')) {
+      predicates.push(this.parseExpression());
+      this.expect(']');
+    }
+    return predicates;
+  }
+
+  parseTrailingSteps(expression) {
+    if (this.peek()?.value !== '/' && this.peek()?.value !== '//') return expression;
+    const path = this.parsePath();
+    return { type: 'chain', expression, steps: path.steps };
+  }
+
+  parsePath() {
+    const steps = [];
+    let absolute = false;
+    if (this.peek()?.value === '/' || this.peek()?.value === '//') {
+      absolute = true;
+    }
+
+    let axis = 'child';
+    while (true) {
+      const token = this.peek();
+      if (token?.value === '//') {
+        this.position++;
+        axis = 'descendant';
+        continue;
+      }
+      if (token?.value === '/') {
+        this.position++;
+        axis = 'child';
+        continue;
+      }
+      if (token?.value === '.') {
+        this.position++;
+        steps.push({ axis: 'self', test: '*', predicates: [] });
+      } else if (token?.value === '..') {
+        this.position++;
+        steps.push({ axis: 'parent', test: '*', predicates: [] });
+      } else if (token?.value === '*' || token?.type === 'name') {
+        this.position++;
+        let stepAxis = axis;
+        let test = token.value;
+        if (test.endsWith('::')) {
+          const explicit = test.slice(0, -2);
+          stepAxis = {
+            'descendant-or-self': 'descendant-or-self', descendant: 'descendant-only', child: 'child', parent: 'parent', self: 'self', ancestor: 'ancestor'
+          }[explicit];
+          if (!stepAxis) throw new Error(`FakeDriver: XPath axis "${explicit}" is not supported`);
+          test = this.tokens[this.position++].value;
+        }
+        steps.push({ axis: stepAxis, test, predicates: this.parsePredicates() });
+      } else if (token?.value === '@') {
+        this.position++;
+        steps.push({ axis: 'attribute', test: this.tokens[this.position++].value, predicates: [] });
+      } else {
+        break;
+      }
+      axis = 'child';
+      if (this.peek()?.value !== '/' && this.peek()?.value !== '//') break;
+    }
+
+    if (steps.length === 0) {
+      throw new Error(`FakeDriver: unsupported XPath "${this.expression}"`);
+    }
+    return { type: 'path', absolute, steps };
+  }
+
+  evaluate(context, root) {
+    const result = this.evaluateNode(this.ast, { node: context, position: 1, size: 1, root });
+    return Array.isArray(result) ? result.filter(node => node.tag) : [];
+  }
+
+  evaluateNode(ast, context) {
+    switch (ast.type) {
+      case 'literal':
+        return ast.value;
+      case 'number':
+        return ast.value;
+      case 'attribute':
+        return context.node.attributes?.[ast.name] ?? null;
+      case 'or':
+        return this.toBoolean(this.evaluateNode(ast.left, context)) || this.toBoolean(this.evaluateNode(ast.right, context));
+      case 'and':
+        return this.toBoolean(this.evaluateNode(ast.left, context)) && this.toBoolean(this.evaluateNode(ast.right, context));
+      case 'compare':
+        return this.compare(ast.operator, this.evaluateNode(ast.left, context), this.evaluateNode(ast.right, context));
+      case 'union':
+        return [...new Set([...this.evaluateNode(ast.left, context), ...this.evaluateNode(ast.right, context)])];
+      case 'function':
+        return this.callFunction(ast, context);
+      case 'filter': {
+        let nodes = this.evaluateNode(ast.expression, context);
+        for (const predicate of ast.predicates) nodes = this.applyPredicate(nodes, predicate, context.root);
+        return nodes;
+      }
+      case 'chain':
+        return this.evaluateSteps(this.evaluateNode(ast.expression, context), ast.steps, context.root);
+      case 'path': {
+        const start = ast.absolute ? [context.root] : [context.node];
+        return this.evaluateSteps(start, ast.steps, context.root);
+      }
+      default:
+        throw new Error(`FakeDriver: unsupported XPath expression "${this.expression}"`);
+    }
+  }
+
+  evaluateSteps(nodes, steps, root) {
+    let current = nodes;
+    for (const step of steps) {
+      const next = [];
+      for (const node of current) {
+        let candidates;
+        if (step.axis === 'attribute') {
+          const value = node.attributes?.[step.test];
+          if (value !== undefined) next.push({ attributeValue: value });
+          continue;
+        }
+        if (step.axis === 'self') candidates = [node];
+        else if (step.axis === 'parent') candidates = node.parent ? [node.parent] : [];
+        else if (step.axis === 'child') candidates = node.children;
+        else if (step.axis === 'descendant-only') candidates = [...descendants(node)];
+        else if (step.axis === 'descendant-or-self') candidates = [node, ...descendants(node)];
+        else if (step.axis === 'ancestor') candidates = ancestors(node);
+        else {
+          // "//x" is descendant-or-self::node()/child::x, so positions count per parent
+          for (const parent of [node, ...descendants(node)]) {
+            const children = parent.children.filter(child => this.matchesTest(child, step.test));
+            next.push(...this.applyPredicates(children, step.predicates, root));
+          }
+          continue;
+        }
+        const matching = candidates.filter(candidate => this.matchesTest(candidate, step.test));
+        next.push(...this.applyPredicates(matching, step.predicates, root));
+      }
+      current = [...new Set(next)];
+    }
+    return current;
+  }
+
+  matchesTest(node, test) {
+    if (!node.tag || node.tag === '#document') return test === 'node';
+    return test === '*' || test === 'node' || node.tag === test;
+  }
+
+  applyPredicates(nodes, predicates, root) {
+    let current = nodes;
+    for (const predicate of predicates) current = this.applyPredicate(current, predicate, root);
+    return current;
+  }
+
+  applyPredicate(nodes, predicate, root) {
+    return nodes.filter((node, index) => {
+      const value = this.evaluateNode(predicate, { node, position: index + 1, size: nodes.length, root });
+      return typeof value === 'number' ? value === index + 1 : this.toBoolean(value);
+    });
+  }
+
+  callFunction(ast, context) {
+    const args = ast.args.map(arg => this.evaluateNode(arg, context));
+    const text = value => this.toString(value);
+    switch (ast.name) {
+      case 'contains':
+        return args[0] !== null && text(args[0]).includes(text(args[1]));
+      case 'starts-with':
+        return args[0] !== null && text(args[0]).startsWith(text(args[1]));
+      case 'ends-with':
+        return args[0] !== null && text(args[0]).endsWith(text(args[1]));
+      case 'translate': {
+        const [value, from, to] = args.map(text);
+        return [...value].map(char => {
+          const index = from.indexOf(char);
+          if (index === -1) return char;
+          return index < to.length ? to[index] : '';
+        }).join('');
+      }
+      case 'concat':
+        return args.map(text).join('');
+      case 'normalize-space':
+        return text(args.length > 0 ? args[0] : context.node.attributes?.text ?? context.node.text).trim().replace(/\s+/g, ' ');
+      case 'string-length':
+        return text(args[0]).length;
+      case 'not':
+        return !this.toBoolean(args[0]);
+      case 'text':
+        return context.node.attributes?.text ?? context.node.text ?? '';
+      case 'position':
+        return context.position;
+      case 'last':
+        return context.size;
+      case 'count':
+        return Array.isArray(args[0]) ? args[0].length : 0;
+      case 'true':
+        return true;
+      case 'false':
+        return false;
+      default:
+        throw new Error(`FakeDriver: XPath function "${ast.name}()" is not supported`);
+    }
+  }
+
+  toString(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+      const [first] = value;
+      if (!first) return '';
+      return first.attributeValue ?? first.attributes?.text ?? first.text ?? '';
+    }
+    return String(value);
+  }
+
+  toBoolean(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.length > 0;
+    return Boolean(value);
+  }
+
+  compare(operator, left, right) {
+    const values = side => {
+      if (Array.isArray(side)) return side.map(item => item.attributeValue ?? item.attributes?.text ?? item.text ?? '');
+      if (side === null) return [];
+      return [side];
+    };
+    const test = (a, b) => {
+      if (typeof a === 'number' || typeof b === 'number') {
+        a = Number(a);
+        b = Number(b);
+      } else if (typeof a === 'boolean' || typeof b === 'boolean') {
+        a = this.toBoolean(a);
+        b = this.toBoolean(b);
+      } else {
+        a = String(a);
+        b = String(b);
+      }
+      switch (operator) {
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '>': return a > b;
+        case '<=': return a <= b;
+        default: return a >= b;
+      }
+    };
+    return values(left).some(a => values(right).some(b => test(a, b)));
+  }
+}
+
+// ==================== UISELECTOR ====================
+
+const UISELECTOR_ATTRIBUTES = {
+  text: 'text',
+  description: 'content-desc',
+  resourceId: 'resource-id',
+  className: 'class',
+  packageName: 'package'
+};
+
+const UISELECTOR_FLAGS = ['checkable', 'checked', 'clickable', 'enabled', 'focusable', 'focused', 'scrollable', 'selected', 'longClickable'];
+
+function parseUiSelector(source) {
+  let position = 0;
+  const skip = () => {
+    while (/\s/.test(source[position] ?? '')) position++;
+  };
+  const read = pattern => {
+    skip();
+    const match = source.slice(position).match(pattern);
+    if (!match) return null;
+    position += match[0].length;
+    return match;
+  };
+
+  const parseValue = () => {
+    skip();
+    if (source[position] === '"') {
+      let value = '';
+      position++;
+      while (position < source.length && source[position] !== '"') {
+        if (source[position] === '\\') {
+          const next = source[position + 1];
+          value += { n: '\n', r: '\r', t: '\t' }[next] ?? next;
+          position += 2;
+        } else {
+          value += source[position++];
+        }
+      }
+      position++;
+      return value;
+    }
+    if (read(/^new\s+UiSelector\s*\(\s*\)/)) {
+      return parseChain();
+    }
+    const literal = read(/^(true|false|-?\d+)/);
+    if (!literal) throw new Error(`FakeDriver: cannot parse UiSelector "${source}"`);
+    return literal[1] === 'true' ? true : literal[1] === 'false' ? false : Number(literal[1]);
+  };
+
+  const parseChain = () => {
+    const methods = [];
+    while (read(/^\./)) {
+      const name = read(/^([A-Za-z]+)\s*\(/);
+      if (!name) throw new Error(`FakeDriver: cannot parse UiSelector "${source}"`);
+      const args = [];
+      skip();
+      if (source[position] !== ')') {
+        do {
+          args.push(parseValue());
+        } while (read(/^,/));
+      }
+      if (!read(/^\)/)) throw new Error(`FakeDriver: cannot parse UiSelector "${source}"`);
+      methods.push({ name: name[1], args });
+    }
+    return { methods };
+  };
+
+  // new UiScrollable(...).scrollIntoView(new UiSelector()...) finds the inner selector
+  if (read(/^new\s+UiScrollable\s*\(/)) {
+    let depth = 1;
+    while (position < source.length && depth > 0) {
+      if (source[position] === '"') {
+        position++;
+        while (position < source.length && source[position] !== '"') position += source[position] === '\\' ? 2 : 1;
+      } else if (source[position] === '(') depth++;
+      else if (source[position] === ')') depth--;
+      position++;
+    }
+    const chain = parseChain();
+    const target = chain.methods.find(method => ['scrollIntoView', 'getChildByText', 'getChildByDescription'].includes(method.name));
+    if (!target || typeof target.args[0] !== 'object') {
+      throw new Error(`FakeDriver: unsupported UiScrollable "${source}"`);
+    }
+    return target.args[0];
+  }
+
+  if (!read(/^new\s+UiSelector\s*\(\s*\)/)) {
+    throw new Error(`FakeDriver: UiSelector must start with new UiSelector(): "${source}"`);
+  }
+  return parseChain();
+}
+
+function matchesUiSelector(node, selector) {
+  const attributes = node.attributes;
+  for (const { name, args } of selector.methods) {
+    const [value] = args;
+    const base = name.replace(/(Contains|StartsWith|Matches)$/, '');
+    const attribute = UISELECTOR_ATTRIBUTES[base];
+
+    if (attribute) {
+      const actual = attribute === 'class' ? (attributes.class ?? node.tag) : (attributes[attribute] ?? '');
+      if (name.endsWith('Contains') && !actual.includes(value)) return false;
+      if (name.endsWith('StartsWith') && !actual.startsWith(value)) return false;
+      if (name.endsWith('Matches') && !javaRegex(value).test(actual)) return false;
+      if (name === base && actual !== value) return false;
+    } else if (UISELECTOR_FLAGS.includes(name)) {
+      const key = name === 'longClickable' ? 'long-clickable' : name;
+      if ((attributes[key] === 'true') !== value) return false;
+    } else if (name === 'index') {
+      if (Number(attributes.index) !== value) return false;
+    } else if (!['instance', 'childSelector'].includes(name)) {
+      throw new Error(`FakeDriver: UiSelector.${name}() is not supported`);
+    }
+  }
+  return true;
+}
+
+function findByUiSelector(root, selector) {
+  let nodes = [...descendants(root)].filter(node => matchesUiSelector(node, selector));
+
+  for (const { name, args } of selector.methods) {
+    if (name === 'childSelector') {
+      nodes = nodes.flatMap(node => findByUiSelector(node, args[0]));
+    }
+  }
+
+  const instance = selector.methods.find(method => method.name === 'instance');
+  if (instance) {
+    nodes = nodes[instance.args[0]] ? [nodes[instance.args[0]]] : [];
+  }
+  return nodes;
+}
+
+// ==================== iOS PREDICATE ====================
+
+function tokenizePredicate(source) {
+  const tokens = [];
+  const pattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\[[cd]+\]|==|!=|<>|<=|>=|=|<|>|&&|\|\||!|\(|\)|\{|\}|,|-?\d+(?:\.\d+)?|[A-Za-z_][\w.]*)/y;
+  let match;
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(source);
+    if (!match) {
+      if (/^\s*$/.test(source.slice(start))) break;
+      throw new Error(`FakeDriver: cannot parse predicate "${source}" at ${start}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function parsePredicate(source) {
+  const tokens = tokenizePredicate(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const keyword = word => peek()?.toUpperCase() === word;
+
+  const parseValue = () => {
+    const token = tokens[position++];
+    if (token === undefined) throw new Error(`FakeDriver: unexpected end of predicate "${source}"`);
+    if (token === '{') {
+      const values = [];
+      while (peek() !== '}') {
+        values.push(parseValue());
+        if (peek() === ',') position++;
+      }
+      position++;
+      return values;
+    }
+    if (token[0] === '"' || token[0] === "'") {
+      return token.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (/^-?\d/.test(token)) return Number(token);
+    const upper = token.toUpperCase();
+    if (upper === 'TRUE' || upper === 'YES') return true;
+    if (upper === 'FALSE' || upper === 'NO') return false;
+    if (upper === 'NIL' || upper === 'NULL') return null;
+    return { key: token };
+  };
+
+  const parseComparison = () => {
+    const left = parseValue();
+    let operator = tokens[position++]?.toUpperCase();
+    if (operator === '=') operator = '==';
+    if (operator === '<>') operator = '!=';
+    let modifiers = '';
+    if (/^\[[cd]+\]$/.test(peek() ?? '')) {
+      modifiers = tokens[position++];
+    }
+    const right = parseValue();
+    return { type: 'compare', operator, modifiers, left, right };
+  };
+
+  const parseUnary = () => {
+    if (keyword('NOT') || peek() === '!') {
+      position++;
+      return { type: 'not', expression: parseUnary() };
+    }
+    if (peek() === '(') {
+      position++;
+      const expression = parseOr();
+      position++;
+      return expression;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (keyword('AND') || peek() === '&&') {
+      position++;
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (keyword('OR') || peek() === '||') {
+      position++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`FakeDriver: cannot parse predicate "${source}" near "${tokens[position]}"`);
+  }
+  return ast;
+}
+
+function iosAttribute(node, key) {
+  const attributes = node.attributes;
+  if (key === 'type' || key === 'elementType') return attributes.type ?? node.tag;
+  if (key === 'isVisible') return attributes.visible;
+  if (key === 'isEnabled') return attributes.enabled;
+  if (key === 'identifier') return attributes.name;
+  if (key.startsWith('rect.')) return attributes[key.slice(5)];
+  return attributes[key];
+}
+
+function evaluatePredicate(ast, node) {
+  switch (ast.type) {
+    case 'and':
+      return evaluatePredicate(ast.left, node) && evaluatePredicate(ast.right, node);
+    case 'or':
+      return evaluatePredicate(ast.left, node) || evaluatePredicate(ast.right, node);
+    case 'not':
+      return !evaluatePredicate(ast.expression, node);
+    default:
+      break;
+  }
+
+  const resolve = side => (side && typeof side === 'object' && 'key' in side ? iosAttribute(node, side.key) ?? null : side);
+  let actual = resolve(ast.left);
+  let expected = resolve(ast.right);
+  const caseInsensitive = ast.modifiers.includes('c');
+  const normalize = value => {
+    if (value === null || value === undefined) return value;
+    let text = String(value);
+    if (ast.modifiers.includes('d')) text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return caseInsensitive ? text.toLowerCase() : text;
+  };
+
+  // Booleans and numbers are stored as strings ("true", "1") in the page source
+  const toNumber = value => {
+    if (value === 'true' || value === true) return 1;
+    if (value === 'false' || value === false) return 0;
+    return Number(value);
+  };
+
+  switch (ast.operator) {
+    case '==':
+    case '!=': {
+      let equal;
+      if (typeof expected === 'number' || typeof expected === 'boolean') {
+        equal = actual !== null && actual !== undefined && toNumber(actual) === toNumber(expected);
+      } else if (expected === null) {
+        equal = actual === null || actual === undefined;
+      } else {
+        equal = actual !== null && actual !== undefined && normalize(actual) === normalize(expected);
+      }
+      return ast.operator === '==' ? equal : !equal;
+    }
+    case '<': case '>': case '<=': case '>=': {
+      const [a, b] = [toNumber(actual), toNumber(expected)];
+      return { '<': a < b, '>': a > b, '<=': a <= b, '>=': a >= b }[ast.operator];
+    }
+    case 'CONTAINS':
+      return actual !== null && actual !== undefined && normalize(actual).includes(normalize(expected));
+    case 'BEGINSWITH':
+      return actual !== null && actual !== undefined && normalize(actual).startsWith(normalize(expected));
+    case 'ENDSWITH':
+      return actual !== null && actual !== undefined && normalize(actual).endsWith(normalize(expected));
+    case 'LIKE': {
+      if (actual === null || actual === undefined) return false;
+      const pattern = String(expected).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+      return new RegExp(`^${pattern}$`, caseInsensitive ? 'is' : 's').test(String(actual));
+    }
+    case 'MATCHES': {
+      if (actual === null || actual === undefined) return false;
+      const regex = javaRegex(String(expected));
+      return new RegExp(regex.source, caseInsensitive && !regex.flags.includes('i') ? `${regex.flags}i` : regex.flags).test(String(actual));
+    }
+    case 'IN':
+      return Array.isArray(expected) && expected.some(value => normalize(value) === normalize(actual));
+    default:
+      throw new Error(`FakeDriver: predicate operator "${ast.operator}" is not supported`);
+  }
+}
+
+// ==================== iOS CLASS CHAIN ====================
+
+function findByClassChain(root, chain) {
+  const steps = [];
+  const pattern = /(\*\*\/)?([\w*]+)((?:\[(?:`(?:[^`]|``)*`|-?\d+)\])*)\/?/y;
+  let match;
+  while (pattern.lastIndex < chain.length && (match = pattern.exec(chain)) !== null) {
+    const filters = [...match[3].matchAll(/\[(?:`((?:[^`]|``)*)`|(-?\d+))\]/g)].map(([, predicate, index]) => (
+      predicate !== undefined
+        ? { predicate: parsePredicate(predicate.replace(/``/g, '`')) }
+        : { index: Number(index) }
+    ));
+    steps.push({ descendant: Boolean(match[1]), type: match[2], filters });
+  }
+  if (steps.length === 0 || pattern.lastIndex < chain.length) {
+    throw new Error(`FakeDriver: cannot parse class chain "${chain}"`);
+  }
+
+  let current = [root];
+  for (const step of steps) {
+    const next = [];
+    for (const node of current) {
+      let candidates = (step.descendant ? [...descendants(node)] : node.children)
+        .filter(candidate => step.type === '*' || iosAttribute(candidate, 'type') === step.type);
+      for (const filter of step.filters) {
+        if (filter.predicate) {
+          candidates = candidates.filter(candidate => evaluatePredicate(filter.predicate, candidate));
+        } else {
+          // Class chain indexes are 1-based; negative ones count from the end
+          const index = filter.index > 0 ? filter.index - 1 : candidates.length + filter.index;
+          candidates = candidates[index] ? [candidates[index]] : [];
+        }
+      }
+      next.push(...candidates);
+    }
+    current = [...new Set(next)];
+  }
+  return current;
+}
+
+// ==================== CSS (WebView) ====================
+
+// Compound selectors (tag, #id, .class, [attr], [attr="value"]) joined by descendant combinators
+function parseCss(selector) {
+  const compound = /^([\w-]+|\*)?((?:#[\w-]+|\.[\w-]+|\[[\w-]+(?:=(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[\w-]+))?\])*)$/;
+  return selector.trim().split(/\s+/).map(part => {
+    const match = part.match(compound);
+    if (!match || part === '') throw new Error(`FakeDriver: unsupported CSS selector "${selector}"`);
+    const conditions = [...match[2].matchAll(/#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([\w-]+)))?\]/g)]
+      .map(([, id, className, name, double, single, bare]) => {
+        if (id) return node => node.attributes.id === id;
+        if (className) return node => (node.attributes.class ?? '').split(/\s+/).includes(className);
+        const value = double ?? single ?? bare;
+        if (value === undefined) return node => node.attributes[name] !== undefined;
+        const expected = value.replace(/\\(.)/g, '$1');
+        return node => node.attributes[name] === expected;
+      });
+    const tag = match[1] && match[1] !== '*' ? match[1].toLowerCase() : null;
+    return node => (!tag || node.tag === tag) && conditions.every(condition => condition(node));
+  });
+}
+
+function findByCss(root, selector) {
+  const [first, ...rest] = parseCss(selector);
+  let current = [...descendants(root)].filter(first);
+  for (const matches of rest) {
+    current = [...descendants(root)].filter(node => matches(node) && ancestors(node).some(ancestor => current.includes(ancestor)));
+  }
+  return current;
+}
+
+// ==================== DRIVER ====================
+
+const XPATH_PREFIXES = ['/', '(', './', '../', '*/'];
+const NATIVE_CONTEXT = 'NATIVE_APP';
+
+class FakeElement {
+  constructor(driver, selector, root, node, index = 0) {
+    this.driver = driver;
+    this.selector = selector;
+    this.root = root; // FakeElement or null (driver) the selector was searched from
+    this.node = node;
+    this.index = index;
+    this.elementId = node?.id ?? null;
+    this.error = node ? null : new Error(`FakeDriver: element ("${selector}") still not existing`);
+  }
+
+  // Re-run the search when the element was missing or the screen changed (like WebdriverIO's lazy elements)
+  _resolve() {
+    if (this.node && this.driver._isAttached(this.node)) return this.node;
+    const rootNode = this.root ? this.root._resolve() : this.driver._document;
+    if (!rootNode) return null;
+    const node = this.driver._find(this.selector, rootNode)[this.index] ?? null;
+    this.node = node;
+    this.elementId = node?.id ?? null;
+    return node;
+  }
+
+  _require() {
+    const node = this._resolve();
+    if (!node) {
+      throw new Error(`FakeDriver: element ("${this.selector}") still not existing`);
+    }
+    return node;
+  }
+
+  async $(selector) {
+    return (await this.$$(selector))[0] ?? new FakeElement(this.driver, selector, this, null);
+  }
+
+  async $$(selector) {
+    const node = this._require();
+    return this.driver._find(selector, node).map((match, index) => new FakeElement(this.driver, selector, this, match, index));
+  }
+
+  async isExisting() {
+    return Boolean(this._resolve());
+  }
+
+  async isDisplayed() {
+    const node = this._resolve();
+    return Boolean(node) && this.driver._isDisplayed(node);
+  }
+
+  async isEnabled() {
+    return this.driver._isEnabled(this._require());
+  }
+
+  async isSelected() {
+    const attributes = this._require().attributes;
+    if (this.driver._inWebView()) return attributes.checked !== undefined || attributes.selected !== undefined;
+    return attributes.selected === 'true' || attributes.checked === 'true';
+  }
+
+  async getText() {
+    const node = this._require();
+    if (this.driver._inWebView()) {
+      return this.driver._isDisplayed(node) ? node.text.trim().replace(/\s+/g, ' ') : '';
+    }
+    if (this.driver.platform === 'ios') {
+      return node.attributes.value || node.attributes.label || '';
+    }
+    return node.attributes.text ?? '';
+  }
+
+  async getValue() {
+    return this.driver._getEditableText(this._require());
+  }
+
+  async getAttribute(name) {
+    const node = this._require();
+    if (this.driver._inWebView()) {
+      // Boolean attributes read as 'true', like WebDriver's getAttribute
+      if (node.attributes[name] === '' && ['checked', 'selected', 'disabled', 'hidden'].includes(name)) return 'true';
+      return node.attributes[name] ?? null;
+    }
+    if (this.driver.platform === 'ios') {
+      const value = iosAttribute(node, name);
+      return value === undefined ? null : value;
+    }
+    const aliases = { contentDescription: 'content-desc', 'content-description': 'content-desc', resourceId: 'resource-id', className: 'class' };
+    const key = aliases[name] ?? name;
+    if (key === 'class') return node.attributes.class ?? node.tag;
+    if (key === 'displayed' && node.attributes.displayed === undefined) return String(this.driver._isDisplayed(node));
+    return node.attributes[key] ?? null;
+  }
+
+  async getTagName() {
+    const node = this._require();
+    if (this.driver._inWebView()) return node.tag;
+    return this.driver.platform === 'ios' ? iosAttribute(node, 'type') : (node.attributes.class ?? node.tag);
+  }
+
+  async getLocation() {
+    const { x, y } = boundsOf(this._require(), this.driver.platform);
+    return { x, y };
+  }
+
+  async getSize() {
+    const { width, height } = boundsOf(this._require(), this.driver.platform);
+    return { width, height };
+  }
+
+  async getRect() {
+    return boundsOf(this._require(), this.driver.platform);
+  }
+
+  async click() {
+    const node = this._require();
+    if (!this.driver._isDisplayed(node)) {
+      throw new Error(`FakeDriver: element ("${this.selector}") is not displayed`);
+    }
+    await this.driver._click(node);
+  }
+
+  async setValue(value) {
+    const node = this._require();
+    this.driver._setText(node, String(value));
+    this.driver._record({ type: 'setValue', element: this.driver._describe(node), value: String(value) });
+  }
+
+  async addValue(value) {
+    const node = this._require();
+    this.driver._setText(node, this.driver._getEditableText(node) + String(value));
+    this.driver._record({ type: 'addValue', element: this.driver._describe(node), value: String(value) });
+  }
+
+  async clearValue() {
+    const node = this._require();
+    this.driver._setText(node, '');
+    this.driver._record({ type: 'clearValue', element: this.driver._describe(node) });
+  }
+
+  async waitForExist({ timeout = 3000, reverse = false } = {}) {
+    await this.driver._waitUntil(() => Boolean(this._resolve()) !== reverse, timeout,
+      `element ("${this.selector}") still ${reverse ? 'existing' : 'not existing'} after ${timeout}ms`);
+    return true;
+  }
+
+  async waitForDisplayed({ timeout = 3000, reverse = false } = {}) {
+    await this.driver._waitUntil(() => {
+      const node = this._resolve();
+      return (Boolean(node) && this.driver._isDisplayed(node)) !== reverse;
+    }, timeout, `element ("${this.selector}") still ${reverse ? 'displayed' : 'not displayed'} after ${timeout}ms`);
+    return true;
+  }
+
+  async waitForEnabled({ timeout = 3000, reverse = false } = {}) {
+    await this.driver._waitUntil(() => {
+      const node = this._resolve();
+      return (Boolean(node) && this.driver._isEnabled(node)) !== reverse;
+    }, timeout, `element ("${this.selector}") still ${reverse ? 'enabled' : 'not enabled'} after ${timeout}ms`);
+    return true;
+  }
+}
+
+export class FakeDriver {
+  // options.source: page source XML (Android uiautomator / Appium source or iOS XCUI source)
+  // options.platform: 'android' | 'ios' (detected from the source when omitted)
+  // options.windowSize: { width, height } (defaults to the root element bounds)
+  // options.webViews: [{ id, url, title, source }] WebView contexts next to NATIVE_APP (source is the page HTML)
+  constructor(options = {}) {
+    this.sessionId = 'fake-session';
+    this.platform = options.platform ?? null;
+    this.windowSize = options.windowSize ?? null;
+    this.actions = []; // Everything the test did, in order: { type, element?, value? }
+    this.clipboard = '';
+    this.orientation = 'PORTRAIT';
+    this.activeApp = null;
+    this.inBackground = false; // Set by `mobile: backgroundApp` with a negative duration
+    this.stoppedApps = new Set();
+    this.removedApps = new Set();
+    this._handlers = [];
+    this._nextId = 1;
+    this._focused = null;
+    this._source = null; // Native UI hierarchy
+    this._context = NATIVE_CONTEXT;
+    this._webViews = new Map();
+    if (options.source) this.setSource(options.source);
+    for (const webView of options.webViews ?? []) this.addWebView(webView);
+  }
+
+  static async fromFile(path, options = {}) {
+    return new FakeDriver({ ...options, source: await readFile(path, 'utf8') });
+  }
+
+  // Replaces the screen, e.g. to simulate navigation from an onClick handler
+  setSource(xml) {
+    const document = parseXml(xml);
+    for (const node of descendants(document)) {
+      node.id = `fake-element-${this._nextId++}`;
+    }
+    this._source = document;
+    this._focused = null;
+    if (!this.platform) {
+      const root = document.children[0];
+      const tags = [root, ...descendants(root)].map(node => node.tag);
+      this.platform = tags.some(tag => tag.startsWith('XCUIElementType')) ? 'ios' : 'android';
+    }
+    return this;
+  }
+
+  // Adds a WebView context, or replaces the page of an existing one (e.g. to simulate navigation)
+  addWebView({ id = `WEBVIEW_${this._webViews.size + 1}`, url = 'about:blank', title = '', source = '<html><body></body></html>' } = {}) {
+    const document = parseXml(source, { html: true });
+    for (const node of descendants(document)) {
+      node.id = `fake-element-${this._nextId++}`;
+    }
+    this._webViews.set(id, { url, title, source, document });
+    return this;
+  }
+
+  // The document of the current context: the native hierarchy or the WebView's page
+  get _document() {
+    return this._context === NATIVE_CONTEXT ? this._source : this._webViews.get(this._context)?.document ?? null;
+  }
+
+  // Runs handler(element, driver) when an element matching the selector is clicked
+  onClick(selector, handler) {
+    this._handlers.push({ selector, handler });
+    return this;
+  }
+
+  // ==================== WebdriverIO API ====================
+
+  async $(selector) {
+    return (await this.$$(selector))[0] ?? new FakeElement(this, selector, null, null);
+  }
+
+  async $$(selector) {
+    this._ensureSource();
+    return this._find(selector, this._document).map((node, index) => new FakeElement(this, selector, null, node, index));
+  }
+
+  async getPageSource() {
+    this._ensureSource();
+    if (this._inWebView()) return this._webViews.get(this._context).source;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${this._document.children.map(node => serializeXml(node)).join('\n')}`;
+  }
+
+  async getWindowSize() {
+    if (this.windowSize) return { ...this.windowSize };
+    // The screen is the native hierarchy's, also while a WebView context is current
+    this._ensureSource(this._source);
+    const { width, height } = boundsOf(this._source.children[0], this.platform);
+    return { width, height };
+  }
+
+  async keys(value) {
+    const text = Array.isArray(value) ? value.join('') : String(value);
+    if (this._focused && this._isAttached(this._focused)) {
+      // '\b' deletes the previous character, as on the iOS keyboard
+      let current = this._getEditableText(this._focused);
+      for (const char of text) {
+        current = char === '\b' ? current.slice(0, -1) : current + char;
+      }
+      this._setText(this._focused, current);
+    }
+    this._record({ type: 'keys', value: text });
+  }
+
+  async performActions(actions) {
+    this._record({ type: 'performActions', value: actions });
+
+    // A pointer that goes down and up without moving is a tap on whatever is at that point
+    for (const source of actions) {
+      if (source.type !== 'pointer') continue;
+      let point = null;
+      let downAt = null;
+      let moved = false;
+      for (const action of source.actions) {
+        if (action.type === 'pointerMove') {
+          if (downAt) moved = moved || action.x !== downAt.x || action.y !== downAt.y;
+          point = { x: action.x, y: action.y };
+        } else if (action.type === 'pointerDown') {
+          downAt = point;
+          moved = false;
+        } else if (action.type === 'pointerUp' && downAt && !moved) {
+          const node = this._hitTest(downAt.x, downAt.y);
+          if (node) await this._click(node);
+          downAt = null;
+        }
+      }
+    }
+  }
+
+  async releaseActions() {}
+
+  async execute(script, ...args) {
+    this._record({ type: 'execute', value: { script, args } });
+    if (script === 'mobile: backgroundApp' && args[0]?.seconds < 0) {
+      this.inBackground = true;
+    }
+    return null;
+  }
+
+  async back() {
+    this._record({ type: 'back' });
+  }
+
+  async getContexts() {
+    return [NATIVE_CONTEXT, ...this._webViews.keys()];
+  }
+
+  async getContext() {
+    return this._context;
+  }
+
+  async switchContext(name) {
+    if (name !== NATIVE_CONTEXT && !this._webViews.has(name)) {
+      throw new Error(`FakeDriver: no such context "${name}". Contexts: ${(await this.getContexts()).join(', ')}`);
+    }
+    this._context = name;
+    this._record({ type: 'switchContext', value: name });
+  }
+
+  async getUrl() {
+    return this._requireWebView('getUrl').url;
+  }
+
+  async getTitle() {
+    return this._requireWebView('getTitle').title;
+  }
+
+  async pressKeyCode(keyCode, metastate) {
+    // KEYCODE_DEL deletes the previous character of the focused field
+    if (keyCode === 67 && this._focused && this._isAttached(this._focused)) {
+      this._setText(this._focused, this._getEditableText(this._focused).slice(0, -1));
+    }
+    this._record(metastate ? { type: 'pressKeyCode', value: keyCode, metastate } : { type: 'pressKeyCode', value: keyCode });
+  }
+
+  async isKeyboardShown() {
+    return Boolean(this._focused && this._isAttached(this._focused));
+  }
+
+  async hideKeyboard() {
+    this._focused = null;
+    this._record({ type: 'hideKeyboard' });
+  }
+
+  async setOrientation(orientation) {
+    this.orientation = String(orientation).toUpperCase();
+    this._record({ type: 'setOrientation', value: this.orientation });
+  }
+
+  async getOrientation() {
+    return this.orientation;
+  }
+
+  async setGeoLocation(location) {
+    this._record({ type: 'setGeoLocation', value: location });
+  }
+
+  async setClipboard(content) {
+    this.clipboard = Buffer.from(String(content), 'base64').toString('utf8');
+  }
+
+  async getClipboard() {
+    return Buffer.from(this.clipboard, 'utf8').toString('base64');
+  }
+
+  async activateApp(appId) {
+    if (this.removedApps.has(appId)) {
+      throw new Error(`App '${appId}' is not installed`);
+    }
+    this.activeApp = appId;
+    this.inBackground = false;
+    this.stoppedApps.delete(appId);
+    this._record({ type: 'activateApp', value: appId });
+  }
+
+  async terminateApp(appId) {
+    if (this.activeApp === appId) this.activeApp = null;
+    this.stoppedApps.add(appId);
+    this._record({ type: 'terminateApp', value: appId });
+    return true;
+  }
+
+  async installApp(path) {
+    this._record({ type: 'installApp', value: path });
+  }
+
+  async removeApp(appId) {
+    if (this.activeApp === appId) this.activeApp = null;
+    this.removedApps.add(appId);
+    this._record({ type: 'removeApp', value: appId });
+    return true;
+  }
+
+  async isAppInstalled(appId) {
+    return !this.removedApps.has(appId);
+  }
+
+  // Apps count as running in the foreground until terminated, removed or sent to the background
+  async queryAppState(appId) {
+    if (this.removedApps.has(appId)) return 0;
+    if (this.stoppedApps.has(appId)) return 1;
+    return this.inBackground ? 3 : 4;
+  }
+
+  async takeScreenshot() {
+    return FAKE_PNG;
+  }
+
+  async saveScreenshot(path) {
+    await writeFile(path, Buffer.from(FAKE_PNG, 'base64'));
+    return Buffer.from(FAKE_PNG, 'base64');
+  }
+
+  async getLogs() {
+    return [];
+  }
+
+  async startRecordingScreen() {}
+
+  async stopRecordingScreen() {
+    return '';
+  }
+
+  async pause(ms) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async setTimeout() {}
+
+  async deleteSession() {
+    this._record({ type: 'deleteSession' });
+  }
+
+  // ==================== INTERNAL HELPERS ====================
+
+  _ensureSource(document = this._document) {
+    if (!document) {
+      throw new Error('FakeDriver has no UI hierarchy. Pass { source } or call setSource(xml) first.');
+    }
+  }
+
+  _record(action) {
+    this.actions.push(action);
+  }
+
+  _inWebView() {
+    return this._context !== NATIVE_CONTEXT;
+  }
+
+  _requireWebView(command) {
+    if (!this._inWebView()) {
+      throw new Error(`FakeDriver: ${command}() needs a WebView context (current: ${NATIVE_CONTEXT})`);
+    }
+    return this._webViews.get(this._context);
+  }
+
+  _find(selector, root) {
+    this._ensureSource();
+    const text = String(selector);
+
+    if (text.startsWith('~') || text.startsWith('accessibility id:')) {
+      const id = text.startsWith('~') ? text.slice(1) : text.slice('accessibility id:'.length);
+      const key = this.platform === 'ios' ? 'name' : 'content-desc';
+      return [...descendants(root)].filter(node => node.attributes[key] === id);
+    }
+    if (text.startsWith('android=') || text.startsWith('-android uiautomator:')) {
+      return findByUiSelector(root, parseUiSelector(text.slice(text.indexOf(text.startsWith('android=') ? '=' : ':') + 1)));
+    }
+    if (text.startsWith('-ios predicate string:')) {
+      const predicate = parsePredicate(text.slice('-ios predicate string:'.length));
+      return [...descendants(root)].filter(node => evaluatePredicate(predicate, node));
+    }
+    if (text.startsWith('-ios class chain:')) {
+      return findByClassChain(root, text.slice('-ios class chain:'.length));
+    }
+    if (text.startsWith('xpath:') || XPATH_PREFIXES.some(prefix => text.startsWith(prefix))) {
+      const expression = text.startsWith('xpath:') ? text.slice('xpath:'.length) : text;
+      return new XPathEvaluator(expression).evaluate(root, this._document);
+    }
+    if (this._inWebView()) {
+      return findByCss(root, text.replace(/^css selector:/, ''));
+    }
+
+    // id= / id: / bare ids use resource-id on Android (with or without the package) and name on iOS
+    const id = text.replace(/^id[=:]/, '');
+    if (this.platform === 'ios') {
+      return [...descendants(root)].filter(node => node.attributes.name === id);
+    }
+    return [...descendants(root)].filter(node => {
+      const resourceId = node.attributes['resource-id'] ?? '';
+      return resourceId === id || resourceId.endsWith(`:id/${id}`);
+    });
+  }
+
+  _isAttached(node) {
+    let current = node;
+    while (current.parent) current = current.parent;
+    return current === this._document;
+  }
+
+  _isDisplayed(node) {
+    const attributes = node.attributes;
+    if (this._inWebView()) {
+      return [node, ...ancestors(node)].every(element => element.attributes.hidden === undefined && element.attributes.type !== 'hidden');
+    }
+    if (this.platform === 'ios') {
+      return attributes.visible !== 'false';
+    }
+    if (attributes.displayed !== undefined) return attributes.displayed !== 'false';
+    if (attributes.bounds === undefined) return true;
+    const { width, height } = boundsOf(node, this.platform);
+    return width > 0 && height > 0;
+  }
+
+  _isEnabled(node) {
+    return this._inWebView() ? node.attributes.disabled === undefined : node.attributes.enabled !== 'false';
+  }
+
+  _isEditable(node) {
+    if (this._inWebView()) return node.tag === 'textarea' || (node.tag === 'input' && !['checkbox', 'radio', 'button', 'submit'].includes(node.attributes.type));
+    const type = this.platform === 'ios' ? iosAttribute(node, 'type') : (node.attributes.class ?? node.tag);
+    return /EditText|TextField|TextView|SearchField|AutoComplete/.test(type ?? '');
+  }
+
+  _getEditableText(node) {
+    if (this._inWebView()) return node.attributes.value ?? '';
+    return (this.platform === 'ios' ? node.attributes.value : node.attributes.text) ?? '';
+  }
+
+  _setText(node, value) {
+    if (this._inWebView()) {
+      node.attributes.value = value;
+      return;
+    }
+    node.attributes[this.platform === 'ios' ? 'value' : 'text'] = value;
+  }
+
+  _describe(node) {
+    const attributes = node.attributes;
+    if (this._inWebView()) {
+      return `${node.tag}${attributes.id ? `#${attributes.id}` : ''}`;
+    }
+    if (this.platform === 'ios') {
+      return `${iosAttribute(node, 'type')}${attributes.name ? `[name="${attributes.name}"]` : ''}`;
+    }
+    const label = attributes['resource-id'] || attributes['content-desc'] || attributes.text;
+    return `${attributes.class ?? node.tag}${label ? `[${label}]` : ''}`;
+  }
+
+  async _click(node) {
+    this._record({ type: 'click', element: this._describe(node) });
+
+    if (this._isEditable(node)) {
+      this._focused = node;
+    }
+
+    // Toggle checkable widgets the way the real controls do
+    const attributes = node.attributes;
+    if (this._inWebView()) {
+      if (node.tag === 'input' && ['checkbox', 'radio'].includes(attributes.type)) {
+        if (attributes.checked !== undefined && attributes.type === 'checkbox') delete attributes.checked;
+        else attributes.checked = '';
+      }
+    } else if (this.platform === 'android' && attributes.checkable === 'true') {
+      attributes.checked = attributes.checked === 'true' ? 'false' : 'true';
+    } else if (this.platform === 'ios' && /Switch|CheckBox|Toggle/.test(iosAttribute(node, 'type') ?? '')) {
+      attributes.value = attributes.value === '1' ? '0' : '1';
+    }
+
+    for (const { selector, handler } of this._handlers) {
+      if (this._find(selector, this._document).includes(node)) {
+        await handler(new FakeElement(this, selector, null, node), this);
+      }
+    }
+  }
+
+  _hitTest(x, y) {
+    // The deepest displayed element containing the point is on top
+    let hit = null;
+    for (const node of descendants(this._document)) {
+      const bounds = boundsOf(node, this.platform);
+      if (this._isDisplayed(node) && x >= bounds.x && x < bounds.x + bounds.width && y >= bounds.y && y < bounds.y + bounds.height) {
+        hit = node;
+      }
+    }
+    return hit;
+  }
+
+  async _waitUntil(condition, timeout, message) {
+    const startTime = Date.now();
+    while (!condition()) {
+      if (Date.now() - startTime >= timeout) {
+        throw new Error(`FakeDriver: ${message}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+}
+
+// 1x1 transparent PNG returned for screenshots
+const FAKE_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+export default FakeDriver;
@@ -0,0 +1,7 @@
+import { defineConfig } from '@playwright/test';
+
+// Unit tests of the library itself; they run offline (FakeDriver, no browser or device)
+export default defineConfig({
+  testDir: './tests',
+  outputDir: 'test-results/playwright'
+});
@@ -0,0 +1,422 @@
+import { test, expect } from '@playwright/test';
+import DualityTest, { FakeDriver } from '../dualitytest.js';
+
+const ANDROID_SOURCE = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy index="0" class="hierarchy" rotation="0" width="1080" height="2340">
+  <android.widget.FrameLayout index="0" package="com.app" class="android.widget.FrameLayout" bounds="[0,0][1080,2340]" displayed="true">
+    <android.widget.EditText index="0" class="android.widget.EditText" text="" resource-id="com.app:id/email" content-desc="Email" hint="Your email" clickable="true" enabled="true" bounds="[40,200][1040,320]" displayed="true"/>
+    <android.widget.Button index="1" class="android.widget.Button" text="Say &quot;hi&quot;" resource-id="com.app:id/login" content-desc="login_btn" clickable="true" enabled="true" bounds="[40,400][1040,520]" displayed="true"/>
+    <android.widget.CheckBox index="2" class="android.widget.CheckBox" text="Accept terms" checkable="true" checked="false" clickable="true" enabled="true" bounds="[40,600][1040,700]" displayed="true"/>
+    <android.view.ViewGroup index="3" class="android.view.ViewGroup" content-desc="row" clickable="true" enabled="true" bounds="[0,800][1080,900]" displayed="true">
+      <android.widget.TextView index="0" class="android.widget.TextView" text="Invoice PAID" bounds="[0,800][500,900]" displayed="true"/>
+    </android.view.ViewGroup>
+    <android.view.ViewGroup index="4" class="android.view.ViewGroup" content-desc="row" clickable="true" enabled="true" bounds="[0,900][1080,1000]" displayed="true">
+      <android.widget.TextView index="0" class="android.widget.TextView" text="Overdue" bounds="[0,900][500,1000]" displayed="true"/>
+    </android.view.ViewGroup>
+  </android.widget.FrameLayout>
+</hierarchy>`;
+
+const IOS_SOURCE = `<XCUIElementTypeApplication type="XCUIElementTypeApplication" name="App" label="App" enabled="true" visible="true" x="0" y="0" width="390" height="844">
+  <XCUIElementTypeButton type="XCUIElementTypeButton" name="pay" label="Pay \`now\`" enabled="true" visible="true" x="10" y="10" width="100" height="40"/>
+  <XCUIElementTypeSwitch type="XCUIElementTypeSwitch" name="notif" label="Notifications" value="0" enabled="true" visible="true" x="10" y="60" width="100" height="40"/>
+  <XCUIElementTypeTextField type="XCUIElementTypeTextField" name="email" label="Email" placeholderValue="Your email" enabled="true" visible="true" x="10" y="110" width="300" height="40"/>
+  <XCUIElementTypeCell type="XCUIElementTypeCell" name="first" enabled="true" visible="true" x="0" y="200" width="390" height="40"/>
+  <XCUIElementTypeCell type="XCUIElementTypeCell" name="second" enabled="true" visible="true" x="0" y="240" width="390" height="40"/>
+</XCUIElementTypeApplication>`;
+
+async function launch(platform, driver) {
+  const app = new DualityTest({
+    platform,
+    appId: 'com.app',
+    driver,
+    enableLogging: false,
+    artifacts: false,
+    healingReport: false,
+    expectTimeout: 500
+  });
+  await app.launch();
+  return app;
+}
+
+async function names(driver, selector, attribute) {
+  const elements = await driver.$$(selector);
+  return Promise.all(elements.map(element => element.getAttribute(attribute)));
+}
+
+test.describe('FakeDriver page source', () => {
+  test('parses XML entities and detects the platform', async () => {
+    const android = new FakeDriver({ source: ANDROID_SOURCE });
+    const ios = new FakeDriver({ source: IOS_SOURCE });
+    expect(android.platform).toBe('android');
+    expect(ios.platform).toBe('ios');
+    expect(await (await android.$('~login_btn')).getText()).toBe('Say "hi"');
+  });
+
+  test('serializes the source it was given', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    const source = await driver.getPageSource();
+    expect(source).toContain('text="Say &quot;hi&quot;"');
+    expect(new FakeDriver({ source }).platform).toBe('android');
+  });
+
+  test('window size defaults to the root bounds', async () => {
+    expect(await new FakeDriver({ source: ANDROID_SOURCE }).getWindowSize()).toEqual({ width: 1080, height: 2340 });
+    expect(await new FakeDriver({ source: IOS_SOURCE }).getWindowSize()).toEqual({ width: 390, height: 844 });
+  });
+});
+
+test.describe('FakeDriver XPath', () => {
+  const driver = new FakeDriver({ source: ANDROID_SOURCE });
+
+  test('attributes, functions and positions', async () => {
+    expect(await names(driver, '//*[@content-desc="row"]', 'index')).toEqual(['3', '4']);
+    expect(await names(driver, '//*[contains(@text, "PAID")]', 'text')).toEqual(['Invoice PAID']);
+    expect(await names(driver, '(//*[@content-desc="row"])[last()]/*[1]', 'text')).toEqual(['Overdue']);
+    expect(await names(driver, '//android.widget.CheckBox[@checked="false" and starts-with(@text, "Accept")]', 'text')).toEqual(['Accept terms']);
+  });
+
+  test('concat() literals and translate()', async () => {
+    expect(await names(driver, `//*[@text=concat("Say ", '"', "hi", '"', "")]`, 'resource-id')).toEqual(['com.app:id/login']);
+    expect(await names(driver, `//*[translate(@text, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz')="overdue"]`, 'text')).toEqual(['Overdue']);
+  });
+
+  test('reports expressions it cannot parse', async () => {
+    await expect(driver.$$('//bad[(')).rejects.toThrow('FakeDriver');
+  });
+});
+
+test.describe('FakeDriver UiSelector', () => {
+  const driver = new FakeDriver({ source: ANDROID_SOURCE });
+
+  test('text, description, resourceId and className methods', async () => {
+    expect(await names(driver, 'android=new UiSelector().textContains("PAID")', 'text')).toEqual(['Invoice PAID']);
+    expect(await names(driver, 'android=new UiSelector().text("Say \\"hi\\"")', 'content-desc')).toEqual(['login_btn']);
+    expect(await names(driver, 'android=new UiSelector().description("row")', 'index')).toEqual(['3', '4']);
+    expect(await names(driver, 'android=new UiSelector().resourceIdMatches(".*:id/email")', 'hint')).toEqual(['Your email']);
+    expect(await names(driver, 'android=new UiSelector().className("android.widget.CheckBox").checked(false)', 'text')).toEqual(['Accept terms']);
+  });
+
+  test('textMatches uses Java regex flags and quoting', async () => {
+    expect(await names(driver, 'android=new UiSelector().textMatches("(?si).*\\\\Qpaid\\\\E.*")', 'text')).toEqual(['Invoice PAID']);
+  });
+
+  test('instance() and childSelector()', async () => {
+    expect(await names(driver, 'android=new UiSelector().description("row").instance(1)', 'index')).toEqual(['4']);
+    expect(await names(driver, 'android=new UiSelector().description("row").childSelector(new UiSelector().className("android.widget.TextView"))', 'text'))
+      .toEqual(['Invoice PAID', 'Overdue']);
+  });
+
+  test('UiScrollable finds the selector it scrolls to', async () => {
+    const selector = 'android=new UiScrollable(new UiSelector().scrollable(true)).scrollIntoView(new UiSelector().text("Overdue"))';
+    expect(await names(driver, selector, 'text')).toEqual(['Overdue']);
+  });
+
+  test('rejects unsupported methods', async () => {
+    await expect(driver.$$('android=new UiSelector().fromParent(new UiSelector())')).rejects.toThrow('not supported');
+  });
+});
+
+test.describe('FakeDriver iOS predicates and class chains', () => {
+  const driver = new FakeDriver({ source: IOS_SOURCE });
+
+  test('predicate operators', async () => {
+    expect(await names(driver, '-ios predicate string:label == "Notifications"', 'name')).toEqual(['notif']);
+    expect(await names(driver, '-ios predicate string:label CONTAINS[c] "NOTIF"', 'name')).toEqual(['notif']);
+    expect(await names(driver, '-ios predicate string:type == "XCUIElementTypeCell" AND name BEGINSWITH "s"', 'name')).toEqual(['second']);
+    expect(await names(driver, '-ios predicate string:name IN {"first", "pay"}', 'name')).toEqual(['pay', 'first']);
+    expect(await names(driver, '-ios predicate string:label MATCHES "(?s).*(?:Em.il).*"', 'name')).toEqual(['email']);
+  });
+
+  test('class chains with predicates and indexes', async () => {
+    expect(await names(driver, '-ios class chain:**/XCUIElementTypeButton[`label == "Pay ``now``"`]', 'name')).toEqual(['pay']);
+    expect(await names(driver, '-ios class chain:**/XCUIElementTypeCell[-1]', 'name')).toEqual(['second']);
+    expect(await names(driver, '-ios class chain:XCUIElementTypeApplication/XCUIElementTypeCell[1]', 'name')).toEqual(['first']);
+  });
+
+  test('accessibility ids use name on iOS', async () => {
+    expect(await names(driver, '~email', 'label')).toEqual(['Email']);
+  });
+});
+
+test.describe('DualityTest on FakeDriver', () => {
+  test('tap runs click handlers', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    driver.onClick('~login_btn', (element, fake) => fake.setSource(
+      '<hierarchy><android.widget.TextView class="android.widget.TextView" text="Welcome back" bounds="[0,0][100,100]"/></hierarchy>'
+    ));
+    const app = await launch('android', driver);
+
+    await app.tapOn(app.getByText('Say "hi"', { exact: true }));
+    await app.expect(app.getByText('Welcome')).toBeVisible();
+    await app.expect(app.getByText('Overdue')).toBeHidden();
+    expect(driver.actions.filter(action => action.type === 'click')).toHaveLength(1);
+  });
+
+  test('fill types into the field', async () => {
+    const app = await launch('android', new FakeDriver({ source: ANDROID_SOURCE }));
+    await app.fill(app.getByLabel('Email'), 'a@b.c');
+    await app.expect(app.getById('com.app:id/email')).toHaveText('a@b.c');
+
+    const ios = await launch('ios', new FakeDriver({ source: IOS_SOURCE }));
+    await ios.fill(ios.getByPlaceholder('your EMAIL', { ignoreCase: true }), 'x@y.z');
+    await ios.expect(ios.getByTestId('email')).toHaveValue('x@y.z');
+  });
+
+  test('assertions retry until they pass and fail with the selector', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    const app = await launch('android', driver);
+    setTimeout(() => driver.setSource(ANDROID_SOURCE.replace('Overdue', 'Settled')), 100);
+    await app.expect(app.getByText('Settled')).toBeVisible();
+    await app.expect(app.getByTestId('row')).toHaveCount(2);
+
+    await expect(app.expect(app.getByText('Missing')).toBeVisible()).rejects.toThrow('Missing');
+  });
+
+  test('getByRole matches role, name and state', async () => {
+    const app = await launch('android', new FakeDriver({ source: ANDROID_SOURCE }));
+    await app.expect(app.getByRole('button', { name: 'say "HI"', ignoreCase: true })).toBeVisible();
+    await app.expect(app.getByRole('button', { name: /hi/ })).toBeVisible();
+    await app.check(app.getByRole('checkbox', { name: 'Accept' }));
+    await app.expect(app.getByRole('checkbox')).toBeChecked();
+
+    const ios = await launch('ios', new FakeDriver({ source: IOS_SOURCE }));
+    await ios.check(ios.getByRole('switch', { name: 'Notifications' }));
+    await ios.expect(ios.getByRole('switch', { name: 'Notifications', checked: true })).toBeVisible();
+  });
+
+  test('filter narrows by text, case-insensitively', async () => {
+    const app = await launch('android', new FakeDriver({ source: ANDROID_SOURCE }));
+    const rows = app.getByTestId('row');
+    expect(await app.count(rows.filter({ hasText: 'paid' }))).toBe(1);
+    expect(await app.count(rows.filter({ hasText: /PAID/ }))).toBe(1);
+    await app.expect(rows.filter({ hasText: 'overdue' }).getByText('Overdue')).toBeVisible();
+    await app.expect(rows.last().getByText('Overdue')).toBeVisible();
+  });
+
+  test('scrollUntilVisible scrolls until the element shows up', async () => {
+    const item = (index, top) => `<android.widget.TextView class="android.widget.TextView" text="Item ${index}" bounds="[0,${top}][500,${top + 100}]"/>`;
+    const page = first => `<hierarchy><android.widget.FrameLayout class="android.widget.FrameLayout" bounds="[0,0][1000,2000]">`
+      + `<android.widget.ListView class="android.widget.ListView" content-desc="list" scrollable="true" bounds="[0,100][1000,600]">`
+      + [0, 1, 2].map(offset => item(first + offset, 100 + offset * 100)).join('')
+      + '</android.widget.ListView></android.widget.FrameLayout></hierarchy>';
+
+    const driver = new FakeDriver({ source: page(0) });
+    let first = 0;
+    const execute = driver.execute.bind(driver);
+    driver.execute = async (script, ...args) => {
+      await execute(script, ...args);
+      if (script === 'mobile: scrollGesture' && first < 6) driver.setSource(page(first += 3));
+      if (script === 'mobile: scroll') throw new Error('not supported');
+    };
+    let sources = 0;
+    const getPageSource = driver.getPageSource.bind(driver);
+    driver.getPageSource = async () => {
+      sources++;
+      return await getPageSource();
+    };
+    const app = await launch('android', driver);
+
+    await app.scrollUntilVisible(app.getByText('Item 7'), { container: app.getByTestId('list') });
+    expect(first).toBe(6);
+    const gestures = driver.actions.filter(action => action.type === 'execute' && action.value.script === 'mobile: scrollGesture');
+    expect(gestures).toHaveLength(2);
+    expect(gestures[0].value.args[0].direction).toBe('down');
+    // One source before scrolling, then one per scroll that didn't reveal the element
+    expect(sources).toBe(2);
+
+    sources = 0;
+    await app.scroll({ direction: 'up' });
+    expect(sources).toBe(0);
+
+    await expect(app.scrollUntilVisible(app.getByText('Item 99'))).rejects.toThrow('end of the content');
+  });
+});
+
+test.describe('FakeDriver WebView contexts', () => {
+  const PAGE = `<!DOCTYPE html><html><head><title>Checkout</title></head><body>
+    <h1>Pay now</h1>
+    <label for="card">Card number</label><input id="card" type="text" placeholder="1234">
+    <input type="checkbox" aria-label="Save card">
+    <button data-testid="pay" disabled>Pay <b>10 EUR</b></button>
+    <div hidden>Secret panel</div>
+  </body></html>`;
+
+  function webViewDriver() {
+    return new FakeDriver({
+      source: ANDROID_SOURCE,
+      webViews: [{ id: 'WEBVIEW_com.app', url: 'https://shop.test/checkout', title: 'Checkout', source: PAGE }]
+    });
+  }
+
+  test('lists NATIVE_APP and the WebViews and switches between them', async () => {
+    const driver = webViewDriver();
+    expect(await driver.getContexts()).toEqual(['NATIVE_APP', 'WEBVIEW_com.app']);
+    expect(await driver.getContext()).toBe('NATIVE_APP');
+    await expect(driver.getUrl()).rejects.toThrow('needs a WebView context');
+    await expect(driver.switchContext('WEBVIEW_other')).rejects.toThrow('no such context');
+
+    await driver.switchContext('WEBVIEW_com.app');
+    expect(await driver.getUrl()).toBe('https://shop.test/checkout');
+    expect(await driver.getTitle()).toBe('Checkout');
+    expect(await (await driver.$('[data-testid="pay"]')).getText()).toBe('Pay 10 EUR');
+    expect(await (await driver.$('~login_btn')).isExisting()).toBe(false);
+  });
+
+  test('DualityTest drives the WebView page', async () => {
+    const driver = webViewDriver();
+    const app = await launch('android', driver);
+
+    await app.switchToWebView({ urlContains: '/checkout' });
+    await app.expect(app.getByRole('heading', { level: 1 })).toHaveText('Pay now');
+    await app.fill(app.getByLabel('Card number'), '4111');
+    await app.expect(app.getByPlaceholder('1234')).toHaveValue('4111');
+    await app.check(app.getByRole('checkbox', { name: 'Save card' }));
+    await app.expect(app.getByRole('checkbox')).toBeChecked();
+    await app.expect(app.getByTestId('pay')).toBeDisabled();
+    await app.expect(app.getByText('Secret panel')).toBeHidden();
+
+    await app.switchToNative();
+    await app.expect(app.getByText('Overdue')).toBeVisible();
+    expect(driver.actions.filter(action => action.type === 'switchContext').at(-1).value).toBe('NATIVE_APP');
+  });
+
+  test('the window size comes from the native hierarchy inside a WebView', async () => {
+    const driver = webViewDriver();
+    await driver.switchContext('WEBVIEW_com.app');
+    expect(await driver.getWindowSize()).toEqual({ width: 1080, height: 2340 });
+
+    const webOnly = new FakeDriver({ webViews: [{ source: PAGE }] });
+    await webOnly.switchContext('WEBVIEW_1');
+    await expect(webOnly.getWindowSize()).rejects.toThrow('FakeDriver has no UI hierarchy');
+  });
+
+  test('WebViews can show up later', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    const app = await launch('android', driver);
+    setTimeout(() => driver.addWebView({ id: 'WEBVIEW_help', url: 'https://help.test/', source: PAGE }), 100);
+    await app.switchToWebView({ timeout: 2000 });
+    expect(await driver.getContext()).toBe('WEBVIEW_help');
+  });
+});
+
+test.describe('App lifecycle on FakeDriver', () => {
+  test('stopApp and clearState target the installed package when appId is an APK path', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    driver.capabilities = { 'appium:app': '/builds/app.apk', 'appium:appPackage': 'com.app' };
+    const app = new DualityTest({ platform: 'android', appId: '/builds/app.apk', driver, enableLogging: false, artifacts: false });
+    await app.launch();
+
+    await app.stopApp();
+    await app.clearState();
+    const targets = driver.actions
+      .filter(action => ['terminateApp', 'activateApp'].includes(action.type) ||
+        (action.type === 'execute' && action.value.script === 'mobile: shell'))
+      .map(action => (action.type === 'execute' ? action.value.args[0].args.at(-1) : action.value));
+    expect(targets.length).toBeGreaterThan(2);
+    expect(new Set(targets)).toEqual(new Set(['com.app']));
+  });
+
+  test('openLink on iOS only looks for the open-in-app prompt when asked to', async () => {
+    const driver = new FakeDriver({ source: IOS_SOURCE.replace('name="pay"', 'name="Open"').replace('label="Pay `now`"', 'label="Open"') });
+    const app = await launch('ios', driver);
+
+    const started = Date.now();
+    await app.openLink('myapp://orders/42');
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(driver.actions.filter(action => action.type === 'click')).toHaveLength(0);
+
+    await app.openLink('myapp://orders/42', { confirm: true });
+    expect(driver.actions.filter(action => action.type === 'click')).toHaveLength(1);
+    expect(driver.actions.filter(action => action.type === 'execute' && action.value.script === 'mobile: deepLink')).toHaveLength(2);
+  });
+});
+
+test.describe('App state on FakeDriver', () => {
+  test('maps every Appium state to its own name', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    const app = await launch('android', driver);
+    expect(await app.getAppState()).toBe('foreground');
+    await app.backgroundApp(-1);
+    expect(await app.getAppState()).toBe('background');
+
+    driver.queryAppState = async () => 2;
+    expect(await app.getAppState()).toBe('backgroundSuspended');
+
+    await app.uninstallApp();
+    driver.queryAppState = FakeDriver.prototype.queryAppState;
+    expect(await app.getAppState()).toBe('notInstalled');
+    expect(await app.isAppInstalled()).toBe(false);
+  });
+});
+
+test.describe('Keys on FakeDriver', () => {
+  test('Android keys are sent as key codes with their meta state', async () => {
+    const driver = new FakeDriver({ source: ANDROID_SOURCE });
+    const app = await launch('android', driver);
+    for (const key of ['Enter', 'enter', 'a', 'A', 'Control+a', 'Shift++', 'é']) {
+      await app.press(key);
+    }
+    expect(driver.actions.filter(action => ['pressKeyCode', 'keys'].includes(action.type))).toEqual([
+      { type: 'pressKeyCode', value: 66 },
+      { type: 'pressKeyCode', value: 66 },
+      { type: 'pressKeyCode', value: 29 },
+      { type: 'pressKeyCode', value: 29, metastate: 0x41 },
+      { type: 'pressKeyCode', value: 29, metastate: 0x3000 },
+      { type: 'pressKeyCode', value: 81, metastate: 0x41 },
+      { type: 'keys', value: 'é' }
+    ]);
+  });
+
+  test('iOS types keyboard keys and sends the rest as hardware keys', async () => {
+    const driver = new FakeDriver({ source: IOS_SOURCE, platform: 'ios' });
+    const app = await launch('ios', driver);
+    await app.press('Enter');
+    await app.press('ArrowUp');
+    await app.press('ControlOrMeta+a');
+    expect(driver.actions.filter(action => ['keys', 'execute'].includes(action.type)).map(action => action.value)).toEqual([
+      '\n',
+      { script: 'mobile: keys', args: [{ keys: [{ key: '\uF700', modifierFlags: 0 }] }] },
+      { script: 'mobile: keys', args: [{ keys: [{ key: 'a', modifierFlags: 1 << 4 }] }] }
+    ]);
+  });
+
+  test('unknown keys and modifiers are rejected', async () => {
+    const android = await launch('android', new FakeDriver({ source: ANDROID_SOURCE }));
+    await expect(android.press('Pause')).rejects.toThrow('Key "Pause" is not supported on android');
+    await expect(android.press('a+b')).rejects.toThrow('"a" is not a modifier');
+    const ios = await launch('ios', new FakeDriver({ source: IOS_SOURCE, platform: 'ios' }));
+    await expect(ios.press('Insert')).rejects.toThrow('Key "Insert" is not supported on ios');
+  });
+});
+
+test.describe('Gestures on FakeDriver', () => {
+  const BOARD = '<hierarchy>'
+    + '<android.widget.TextView class="android.widget.TextView" text="Card" resource-id="app:id/card" bounds="[0,0][100,100]"/>'
+    + '<android.widget.FrameLayout class="android.widget.FrameLayout" resource-id="app:id/done" bounds="[0,500][200,700]"/>'
+    + '</hierarchy>';
+
+  test('dragAndDrop holds the source, moves to the target and rests before releasing', async () => {
+    const driver = new FakeDriver({ source: BOARD });
+    const app = await launch('android', driver);
+    await app.dragAndDrop('id=app:id/card', 'id=app:id/done', { offset: { y: 10 } });
+
+    const [gesture] = driver.actions.filter(action => action.type === 'performActions');
+    const steps = gesture.value[0].actions;
+    expect(steps.slice(0, 3)).toEqual([
+      { type: 'pointerMove', duration: 0, x: 50, y: 50 },
+      { type: 'pointerDown', button: 0 },
+      { type: 'pause', duration: 600 }
+    ]);
+    expect(steps.filter(step => step.type === 'pointerMove').at(-1)).toMatchObject({ x: 100, y: 610 });
+    expect(steps.slice(-2)).toEqual([{ type: 'pause', duration: 200 }, { type: 'pointerUp', button: 0 }]);
+  });
+
+  test('scrollUntilVisible stops at the end of the content instead of using every scroll', async () => {
+    const driver = new FakeDriver({ source: BOARD });
+    const app = await launch('android', driver);
+    await expect(app.scrollUntilVisible(app.getByText('Archived'), { maxScrolls: 10, native: false }))
+      .rejects.toThrow('end of the content');
+    const gestures = driver.actions.filter(action => action.type === 'execute' && action.value.script === 'mobile: scrollGesture');
+    expect(gestures).toHaveLength(1);
+  });
+});
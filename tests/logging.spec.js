@@ -0,0 +1,43 @@
+import { test, expect } from '@playwright/test';
+import DualityTest, { FakeDriver, MemorySink } from '../dualitytest.js';
+
+function session(sink) {
+  return new DualityTest({
+    platform: 'android',
+    appId: 'com.app',
+    driver: new FakeDriver({ source: '<hierarchy/>' }),
+    logSinks: [sink],
+    artifacts: false,
+    healingReport: false
+  });
+}
+
+test('objects referenced twice are logged in full', () => {
+  const sink = new MemorySink();
+  const options = { timeout: 500 };
+  session(sink).logger.info('Shared', { first: options, second: options, list: [options, options] });
+  expect(sink.entries[0].data).toEqual({
+    first: { timeout: 500 },
+    second: { timeout: 500 },
+    list: [{ timeout: 500 }, { timeout: 500 }]
+  });
+});
+
+test('cycles are logged as [Circular]', () => {
+  const sink = new MemorySink();
+  const node = { name: 'root', children: [] };
+  node.children.push({ name: 'child', parent: node });
+  session(sink).logger.info('Cycle', { node });
+  expect(sink.entries[0].data.node.children[0]).toEqual({ name: 'child', parent: '[Circular]' });
+});
+
+test('errors, regular expressions and dates are readable', () => {
+  const sink = new MemorySink();
+  const at = new Date(0);
+  session(sink).logger.info('Values', { error: new TypeError('bad'), pattern: /pay/i, at });
+  expect(sink.entries[0].data).toEqual({
+    error: { name: 'TypeError', message: 'bad' },
+    pattern: '/pay/i',
+    at: at.toISOString()
+  });
+});
@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'fs/promises';
+import { inflateRawSync } from 'zlib';
+import DualityTest, { FakeDriver } from '../dualitytest.js';
+
+const SOURCE = `<hierarchy>
+  <android.widget.Button class="android.widget.Button" text="Pay" resource-id="app:id/pay" bounds="[0,0][100,50]"/>
+</hierarchy>`;
+
+async function launch(config = {}) {
+  const driver = new FakeDriver({ source: SOURCE });
+  const app = new DualityTest({
+    platform: 'android',
+    appId: 'com.app',
+    driver,
+    enableLogging: false,
+    artifacts: false,
+    healingReport: false,
+    expectTimeout: 200,
+    ...config
+  });
+  await app.launch();
+  return { app, driver };
+}
+
+// Name -> contents of every file in a zip written by trace-archive.js (deflated, no data descriptors)
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    files[name] = inflateRawSync(buffer.subarray(start, start + size));
+    offset = start + size;
+  }
+  return files;
+}
+
+test('fallbacks that rescue a selector are written to the healing report', async ({}, testInfo) => {
+  const healingReport = testInfo.outputPath('healing.json');
+  const { app, driver } = await launch({ healingReport });
+  const pay = () => app.withFallbacks('~checkout', '//android.widget.Button[@text="Pay"]');
+  await app.tapOn(pay());
+  await app.tapOn(pay());
+  await app.expect(pay()).toBeVisible();
+
+  expect(driver.actions.filter(action => action.type === 'click')).toHaveLength(2);
+  const report = JSON.parse(await readFile(healingReport, 'utf8'));
+  expect(report.healings).toEqual([{
+    platform: 'android',
+    primary: 'accessibility:checkout',
+    used: 'xpath://android.widget.Button[@text="Pay"]',
+    suggestion: '//android.widget.Button[@text="Pay"]',
+    occurrences: 3,
+    steps: ['tapOn', 'expect.toBeVisible']
+  }]);
+  expect(app.getHealingReport()).toEqual(report.healings);
+});
+
+test('stopTracing writes a zip with the timeline, screenshots, sources and viewer', async ({}, testInfo) => {
+  const path = testInfo.outputPath('trace.zip');
+  const { app } = await launch();
+  await app.startTracing({ title: 'checkout' });
+  await app.tapOn('id=app:id/pay');
+  await expect(app.tapOn('id=app:id/missing', { timeout: 100 })).rejects.toThrow('Step 1/1 tapOn');
+  expect(await app.stopTracing({ path })).toEqual({ path, steps: 2 });
+
+  const files = unzip(await readFile(path));
+  expect(Object.keys(files).sort()).toEqual([
+    'index.html',
+    'screenshots/1-after.png', 'screenshots/1-before.png', 'screenshots/2-after.png', 'screenshots/2-before.png',
+    'sources/1.xml', 'sources/2.xml',
+    'trace.json'
+  ]);
+  const trace = JSON.parse(files['trace.json']);
+  expect(trace).toMatchObject({ title: 'checkout', platform: 'android', files: [] });
+  expect(trace.steps.map(step => [step.method, step.status])).toEqual([['tapOn', 'passed'], ['tapOn', 'failed']]);
+  expect(files['sources/1.xml'].toString()).toContain('app:id/pay');
+  expect(files['index.html'].toString()).toContain('checkout');
+
+  await expect(app.stopTracing({ path })).rejects.toThrow('Tracing is not running');
+});
@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+import DualityTest, { FakeDriver, secret } from '../dualitytest.js';
+
+const SOURCE = `<hierarchy>
+  <android.widget.EditText class="android.widget.EditText" text="" resource-id="app:id/pin" bounds="[0,0][100,50]"/>
+  <android.widget.EditText class="android.widget.EditText" text="" resource-id="app:id/password" password="true" bounds="[0,50][100,100]"/>
+</hierarchy>`;
+
+async function launch(driver = new FakeDriver({ source: SOURCE })) {
+  const app = new DualityTest({
+    platform: 'android',
+    appId: 'com.app',
+    driver,
+    enableLogging: false,
+    artifacts: false,
+    healingReport: false,
+    expectTimeout: 100
+  });
+  await app.launch();
+  return app;
+}
+
+async function failure(promise) {
+  return (await promise.then(() => null, error => error)).message;
+}
+
+test('secret() values are masked whatever their length', async () => {
+  const app = await launch();
+  await app.fill('id=app:id/pin', secret('42'));
+  const message = await failure(app.expect('id=app:id/pin').toHaveText('42x'));
+  expect(message).toContain('Expected: "***x"');
+  expect(message).not.toContain('42');
+});
+
+test('short values typed into password fields are not masked', async () => {
+  const app = await launch();
+  await app.fill('id=app:id/password', 'ab');
+  await app.fill('id=app:id/pin', 'abc');
+  expect(await failure(app.expect('id=app:id/pin').toHaveText('x'))).toContain('Received: "abc"');
+
+  await app.fill('id=app:id/password', 'hunter22');
+  expect(await failure(app.expect('id=app:id/password').toHaveText('x'))).toContain('Received: "***"');
+});
+
+test('secrets belong to the session that used them', async () => {
+  const first = await launch();
+  const second = await launch();
+  await first.fill('id=app:id/pin', secret('s3cr3t'));
+  await second.fill('id=app:id/pin', 's3cr3t-not');
+  expect(await failure(second.expect('id=app:id/pin').toHaveText('x'))).toContain('Received: "s3cr3t-not"');
+});
+
+test('password fields are inspected once per selector', async () => {
+  const driver = new FakeDriver({ source: SOURCE });
+  const app = await launch(driver);
+  let finds = 0;
+  const find = driver.$.bind(driver);
+  driver.$ = async selector => {
+    finds++;
+    return await find(selector);
+  };
+
+  await app.fill('id=app:id/pin', '1234');
+  const firstFill = finds;
+  await app.fill('id=app:id/pin', '5678');
+  expect(finds - firstFill).toBeLessThan(firstFill);
+});
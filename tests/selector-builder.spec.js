@@ -0,0 +1,148 @@
+import { test, expect } from '@playwright/test';
+import DualityTest, { SelectorBuilder, FakeDriver } from '../dualitytest.js';
+
+async function launch(platform) {
+  const app = new DualityTest({
+    platform,
+    appId: 'com.example.app',
+    driver: new FakeDriver({ source: '<hierarchy/>', platform }),
+    enableLogging: false,
+    artifacts: false
+  });
+  await app.launch();
+  return app;
+}
+
+test.describe('SelectorBuilder.uiSelector (Android)', () => {
+  test('exact text', () => {
+    expect(SelectorBuilder.uiSelector('text', 'OK', { exact: true })).toBe('text("OK")');
+  });
+
+  test('contains by default', () => {
+    expect(SelectorBuilder.uiSelector('text', 'OK')).toBe('textContains("OK")');
+    expect(SelectorBuilder.uiSelector('description', 'OK')).toBe('descriptionContains("OK")');
+  });
+
+  test('attributes without a Contains method fall back to a quoted regex', () => {
+    expect(SelectorBuilder.uiSelector('resourceId', 'a.b')).toBe('resourceIdMatches("(?s).*\\\\Qa.b\\\\E.*")');
+  });
+
+  test('regular expressions', () => {
+    expect(SelectorBuilder.uiSelector('text', /^Pay\d+$/)).toBe('textMatches("(?s).*(?:^Pay\\\\d+$).*")');
+    expect(SelectorBuilder.uiSelector('text', /ok/i)).toBe('textMatches("(?si).*(?:ok).*")');
+  });
+
+  test('ignoreCase', () => {
+    expect(SelectorBuilder.uiSelector('text', 'OK', { ignoreCase: true })).toBe('textMatches("(?si).*\\\\QOK\\\\E.*")');
+    expect(SelectorBuilder.uiSelector('text', 'OK', { exact: true, ignoreCase: true })).toBe('textMatches("(?si)\\\\QOK\\\\E")');
+  });
+
+  test('escapes quotes, backslashes and control characters as Java string literals', () => {
+    expect(SelectorBuilder.uiSelector('text', 'a"b\\c')).toBe('textContains("a\\"b\\\\c")');
+    expect(SelectorBuilder.uiSelector('text', 'line\nbreak\ttab', { exact: true })).toBe('text("line\\nbreak\\ttab")');
+  });
+
+  test('a literal \\E cannot end the quoted regex early', () => {
+    expect(SelectorBuilder.fullMatchRegex({ mode: 'exact', text: 'a\\Eb', ignoreCase: false })).toBe('(?s)\\Qa\\E\\\\E\\Qb\\E');
+  });
+});
+
+test.describe('SelectorBuilder.predicate (iOS)', () => {
+  test('exact', () => {
+    expect(SelectorBuilder.predicate(['label'], 'OK', { exact: true })).toBe('label == "OK"');
+  });
+
+  test('exact with ignoreCase', () => {
+    expect(SelectorBuilder.predicate(['label'], 'OK', { exact: true, ignoreCase: true })).toBe('label ==[c] "OK"');
+  });
+
+  test('contains over several attributes', () => {
+    expect(SelectorBuilder.predicate(['label', 'name'], 'OK')).toBe('(label CONTAINS "OK" OR name CONTAINS "OK")');
+    expect(SelectorBuilder.predicate(['label'], 'ok', { ignoreCase: true })).toBe('label CONTAINS[c] "ok"');
+  });
+
+  test('regular expressions', () => {
+    expect(SelectorBuilder.predicate(['label'], /^Pay\d+$/)).toBe('label MATCHES "(?s).*(?:^Pay\\\\d+$).*"');
+  });
+
+  test('escapes quotes and backslashes', () => {
+    expect(SelectorBuilder.predicate(['label'], 'a"b\\c')).toBe('label CONTAINS "a\\"b\\\\c"');
+  });
+
+  test('class chain predicates double their backticks', () => {
+    expect(SelectorBuilder.classChain('XCUIElementTypeButton', 'label == "a`b"'))
+      .toBe('**/XCUIElementTypeButton[`label == "a``b"`]');
+    expect(SelectorBuilder.classChain('XCUIElementTypeCell')).toBe('**/XCUIElementTypeCell');
+  });
+});
+
+test.describe('SelectorBuilder XPath', () => {
+  test('literals pick the quote the text does not use', () => {
+    expect(SelectorBuilder.xpathLiteral('plain')).toBe('"plain"');
+    expect(SelectorBuilder.xpathLiteral('say "hi"')).toBe(`'say "hi"'`);
+  });
+
+  test('mixed quotes are joined with concat()', () => {
+    expect(SelectorBuilder.xpathLiteral(`it's "x"`)).toBe(`concat("it's ", '"', "x", '"', "")`);
+  });
+
+  test('exact, contains and ignoreCase conditions', () => {
+    expect(SelectorBuilder.xpath(['text'], 'OK', { exact: true })).toBe('@text="OK"');
+    expect(SelectorBuilder.xpath(['text', 'content-desc'], 'OK')).toBe('(contains(@text, "OK") or contains(@content-desc, "OK"))');
+    expect(SelectorBuilder.xpath(['text'], 'OK', { ignoreCase: true }))
+      .toBe(`contains(translate(@text, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), "ok")`);
+  });
+
+  test('regular expressions are rejected', () => {
+    expect(() => SelectorBuilder.xpath(['text'], /ok/)).toThrow('not supported in XPath 1.0');
+  });
+});
+
+test.describe('getByText selectors', () => {
+  test('Android matches a substring by default and the whole text with exact', async () => {
+    const app = await launch('android');
+    expect(app.getByText('Pay').toString()).toBe('uiautomator:new UiSelector().textContains("Pay")');
+    expect(app.getByText('Pay', { exact: true }).toString()).toBe('uiautomator:new UiSelector().text("Pay")');
+    expect(app.getByText('pay', { ignoreCase: true }).toString()).toBe('uiautomator:new UiSelector().textMatches("(?si).*\\\\Qpay\\\\E.*")');
+  });
+
+  test('iOS compares label and name', async () => {
+    const app = await launch('ios');
+    expect(app.getByText('Pay').toString()).toBe('predicate:(label CONTAINS "Pay" OR name CONTAINS "Pay")');
+    expect(app.getByText('Pay', { exact: true }).toString()).toBe('predicate:(label == "Pay" OR name == "Pay")');
+  });
+
+  test('user text is escaped on both platforms', async () => {
+    const android = await launch('android');
+    const ios = await launch('ios');
+    expect(android.getByText('a"b\\c').toString()).toBe('uiautomator:new UiSelector().textContains("a\\"b\\\\c")');
+    expect(ios.getByText('a"b\\c').toString()).toBe('predicate:(label CONTAINS "a\\"b\\\\c" OR name CONTAINS "a\\"b\\\\c")');
+  });
+});
+
+test.describe('select()', () => {
+  const selectors = { web: '[data-test=pay]', android: '~pay_btn', ios: '~Pay' };
+
+  test('picks the selector for the current platform', async () => {
+    expect((await launch('android')).select(selectors).toString()).toBe('accessibility:pay_btn');
+    expect((await launch('ios')).select(selectors).toString()).toBe('accessibility:Pay');
+  });
+
+  test('falls back to default', async () => {
+    const app = await launch('android');
+    expect(app.select({ ios: '~Pay', default: '~pay' }).toString()).toBe('accessibility:pay');
+  });
+
+  test('reports a missing platform and unknown keys', async () => {
+    const app = await launch('android');
+    expect(() => app.select({ web: 'a', ios: 'b' })).toThrow('no selector for platform "android" and no default. Configured platforms: web, ios');
+    expect(() => app.select({ andriod: 'b' })).toThrow('Unknown platform in select(): andriod');
+  });
+
+  test('rejects anything but an object', async () => {
+    const app = await launch('android');
+    for (const value of [null, undefined, '~pay_btn', ['~pay_btn']]) {
+      expect(() => app.select(value)).toThrow('select() expects an object of selectors keyed by platform');
+    }
+  });
+});
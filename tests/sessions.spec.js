@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import { FakeDriver, SessionManager } from '../dualitytest.js';
+
+const SOURCE = '<hierarchy><android.widget.Button class="android.widget.Button" text="Pay" bounds="[0,0][100,50]"/></hierarchy>';
+
+// Hands each session its own FakeDriver and keeps the capabilities it was launched with
+function drivers() {
+  const launched = [];
+  const factory = async capabilities => {
+    const driver = new FakeDriver({ source: SOURCE });
+    launched.push({ driver, capabilities });
+    return driver;
+  };
+  return { launched, factory };
+}
+
+function manager(config = {}) {
+  return new SessionManager({ enableLogging: false, artifacts: false, healingReport: false, ...config });
+}
+
+test('launchAll starts every session with its own driver ports', async () => {
+  const { launched, factory } = drivers();
+  const sessions = manager({ driver: factory });
+  await sessions.launchAll({
+    buyer: { platform: 'android', appId: 'com.app' },
+    seller: { platform: 'android', appId: 'com.app' }
+  });
+
+  expect(sessions.names).toEqual(['buyer', 'seller']);
+  expect(sessions.get('buyer').sessionName).toBe('buyer');
+  const ports = launched.map(({ capabilities }) => capabilities['appium:systemPort']);
+  expect(ports.filter(Boolean)).toEqual([8201]);
+
+  await sessions.closeAll();
+  expect(sessions.names).toEqual([]);
+  for (const { driver } of launched) {
+    expect(driver.actions.filter(action => action.type === 'deleteSession')).toHaveLength(1);
+  }
+});
+
+test('launchAll closes the sessions that started when one fails', async () => {
+  const { launched, factory } = drivers();
+  const sessions = manager();
+  await expect(sessions.launchAll({
+    app: { platform: 'android', appId: 'com.app', driver: factory },
+    broken: { platform: 'android', appId: 'com.app', driver: async () => { throw new Error('no device'); } }
+  })).rejects.toThrow('no device');
+
+  expect(sessions.names).toEqual([]);
+  expect(launched[0].driver.actions.filter(action => action.type === 'deleteSession')).toHaveLength(1);
+});
+
+test('a session name can only be launched once, and unknown names are reported', async () => {
+  const sessions = manager({ driver: drivers().factory });
+  await sessions.launch('app', { platform: 'android', appId: 'com.app' });
+  await expect(sessions.launch('app', { platform: 'android', appId: 'com.app' })).rejects.toThrow('Session "app" is already running');
+  expect(() => sessions.get('web')).toThrow('Unknown session "web". Sessions: app');
+  await sessions.closeAll();
+});
+
+test('parallel runs every action and throws the first failure', async () => {
+  const sessions = manager({ driver: drivers().factory });
+  await sessions.launchAll({
+    first: { platform: 'android', appId: 'com.app' },
+    second: { platform: 'android', appId: 'com.app' }
+  });
+
+  const results = await sessions.parallel({
+    first: app => app.getText(app.getByText('Pay')),
+    second: app => app.getText(app.getByText('Pay'))
+  });
+  expect(results).toEqual({ first: 'Pay', second: 'Pay' });
+
+  let finished = false;
+  await expect(sessions.parallel({
+    first: async () => { throw new Error('first failed'); },
+    second: async () => { await new Promise(resolve => setTimeout(resolve, 50)); finished = true; }
+  })).rejects.toThrow('first failed');
+  expect(finished).toBe(true);
+  await sessions.closeAll();
+});
@@ -0,0 +1,200 @@
+// trace-archive.js - Packs a DualityTest trace (timeline, screenshots, page sources) into a zip
+// with a static HTML viewer, so it can be stepped through offline.
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { deflateRawSync } from 'zlib';
+
+// ==================== ZIP ====================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// entries: [{ name, data: Buffer | string }]
+export function createZip(entries, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name.replace(/\\/g, '/'), 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// ==================== VIEWER ====================
+
+function renderViewer(trace) {
+  // The trace is inlined because browsers block fetch() from file:// pages
+  const data = JSON.stringify(trace).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DualityTest trace - ${escapeHtml(trace.title)}</title>
+<style>
+  body { margin: 0; font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; display: flex; height: 100vh; color: #222; }
+  #steps { width: 340px; overflow-y: auto; border-right: 1px solid #ddd; margin: 0; padding: 0; list-style: none; }
+  #steps li { padding: 8px 12px; border-bottom: 1px solid #eee; cursor: pointer; }
+  #steps li.active { background: #e8f0fe; }
+  #steps li.failed .method { color: #c62828; }
+  #steps .meta { color: #777; font-size: 12px; }
+  #detail { flex: 1; overflow: auto; padding: 16px; }
+  #detail h2 { margin-top: 0; font-size: 18px; }
+  #detail pre { background: #fdecea; padding: 8px; white-space: pre-wrap; }
+  .shots { display: flex; gap: 16px; }
+  .shots figure { margin: 0; flex: 1; }
+  .shots img { max-width: 100%; max-height: 70vh; border: 1px solid #ccc; }
+  code { word-break: break-all; }
+</style>
+</head>
+<body>
+<ul id="steps"></ul>
+<div id="detail"></div>
+<script>
+const trace = ${data};
+const list = document.getElementById('steps');
+const detail = document.getElementById('detail');
+const escape = value => String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+let current = 0;
+
+trace.steps.forEach((step, index) => {
+  const item = document.createElement('li');
+  item.className = step.status;
+  item.innerHTML = '<div class="method">' + (step.status === 'failed' ? '✗ ' : '✓ ') + escape(step.method) + '</div>' +
+    '<div class="meta">' + escape(step.selector) + ' · ' + step.duration + 'ms</div>';
+  item.onclick = () => show(index);
+  list.appendChild(item);
+});
+
+function show(index) {
+  if (index < 0 || index >= trace.steps.length) return;
+  current = index;
+  [...list.children].forEach((item, i) => item.classList.toggle('active', i === index));
+  list.children[index].scrollIntoView({ block: 'nearest' });
+  const step = trace.steps[index];
+  const shot = (label, path) => path
+    ? '<figure><figcaption>' + label + '</figcaption><img src="' + escape(path) + '"></figure>'
+    : '';
+  detail.innerHTML = '<h2>' + escape(step.method) + '(' + escape(step.selector) + ')</h2>' +
+    '<p>Step ' + (index + 1) + ' of ' + trace.steps.length + ' · ' + escape(step.status) + ' · ' + step.duration + 'ms · ' +
+    escape(new Date(step.startTime).toISOString()) + '</p>' +
+    (step.error ? '<pre>' + escape(step.error) + '</pre>' : '') +
+    (step.source ? '<p><a href="' + escape(step.source) + '" target="_blank">Page source after the step</a></p>' : '') +
+    '<div class="shots">' + shot('Before', step.before) + shot('After', step.after) + '</div>';
+}
+
+document.addEventListener('keydown', event => {
+  if (event.key === 'ArrowDown' || event.key === 'j') show(current + 1);
+  if (event.key === 'ArrowUp' || event.key === 'k') show(current - 1);
+});
+
+document.title = 'DualityTest trace - ' + trace.title + ' (' + trace.platform + ')';
+if ((trace.files || []).includes('playwright-trace.zip')) {
+  const note = document.createElement('li');
+  note.className = 'meta';
+  note.innerHTML = 'Playwright trace: <a href="playwright-trace.zip">playwright-trace.zip</a><br>Open with <code>npx playwright show-trace playwright-trace.zip</code>';
+  list.appendChild(note);
+}
+if (trace.steps.length > 0) show(0);
+else detail.textContent = 'No steps were recorded.';
+</script>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// trace: { title, platform, startTime, endTime, steps, files }, dir: folder holding the files the trace points to
+export async function writeTraceArchive(path, trace, dir) {
+  const entries = [
+    { name: 'trace.json', data: JSON.stringify(trace, null, 2) },
+    { name: 'index.html', data: renderViewer(trace) }
+  ];
+
+  for (const file of trace.files ?? []) {
+    entries.push({ name: file, data: await readFile(join(dir, file)) });
+  }
+
+  for (const step of trace.steps) {
+    for (const file of [step.before, step.after, step.source]) {
+      if (file) {
+        entries.push({ name: file, data: await readFile(join(dir, file)) });
+      }
+    }
+  }
+
+  await mkdir(dirname(path) || '.', { recursive: true });
+  await writeFile(path, createZip(entries));
+  return path;
+}
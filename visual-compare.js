@@ -0,0 +1,82 @@
+// visual-compare.js - Pixel comparison of PNG screenshots against stored baselines,
+// with masked regions painted out and a diff image for mismatches.
+
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+// Same color Playwright paints over masked regions
+const MASK_COLOR = [255, 0, 255, 255];
+
+export function decodePng(buffer) {
+  return PNG.sync.read(buffer);
+}
+
+export function encodePng(image) {
+  return PNG.sync.write(image);
+}
+
+// Clamps a { x, y, width, height } rectangle to the image and rounds it to whole pixels
+function clampRect(image, rect) {
+  const x = Math.max(0, Math.floor(rect.x));
+  const y = Math.max(0, Math.floor(rect.y));
+  const right = Math.min(image.width, Math.ceil(rect.x + rect.width));
+  const bottom = Math.min(image.height, Math.ceil(rect.y + rect.height));
+  return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+export function cropImage(image, rect) {
+  const area = clampRect(image, rect);
+  if (area.width === 0 || area.height === 0) {
+    throw new Error(`Cannot crop ${JSON.stringify(rect)}: it is outside the ${image.width}x${image.height} screenshot`);
+  }
+
+  const cropped = new PNG({ width: area.width, height: area.height });
+  for (let row = 0; row < area.height; row++) {
+    const start = ((area.y + row) * image.width + area.x) * 4;
+    image.data.copy(cropped.data, row * area.width * 4, start, start + area.width * 4);
+  }
+  return cropped;
+}
+
+export function paintMasks(image, rects) {
+  for (const rect of rects) {
+    const area = clampRect(image, rect);
+    for (let y = area.y; y < area.y + area.height; y++) {
+      for (let x = area.x; x < area.x + area.width; x++) {
+        image.data.set(MASK_COLOR, (y * image.width + x) * 4);
+      }
+    }
+  }
+  return image;
+}
+
+// options: threshold (per-pixel color distance, 0-1), maxDiffPixels, maxDiffPixelRatio
+export function compareImages(actual, expected, options = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    return {
+      passed: false,
+      reason: `Expected a ${expected.width}x${expected.height} image but got ${actual.width}x${actual.height}`,
+      diff: null
+    };
+  }
+
+  const { width, height } = actual;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(actual.data, expected.data, diff.data, width, height, {
+    threshold: options.threshold ?? 0.2
+  });
+
+  // When both limits are given the stricter one applies (same as Playwright)
+  const limits = [];
+  if (options.maxDiffPixels !== undefined) limits.push(options.maxDiffPixels);
+  if (options.maxDiffPixelRatio !== undefined) limits.push(options.maxDiffPixelRatio * width * height);
+  const allowed = limits.length > 0 ? Math.min(...limits) : 0;
+
+  const ratio = diffPixels / (width * height);
+  return {
+    passed: diffPixels <= allowed,
+    reason: `${diffPixels} pixels (${(ratio * 100).toFixed(2)}%) differ, ${Math.floor(allowed)} allowed`,
+    diffPixels,
+    diff
+  };
+}